@@ -1,24 +1,100 @@
 const passport = require('passport');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
 const User = require('../models/User');
+const { verifyPurposeToken, revokeAllTokens } = require('../utils/jwt');
+
+// Link a Google account to a signed-in user (state carries a 'google-link' token).
+// The token's nonce must match the one in this browser's session, so the flow
+// has to be finished by the browser that started it.
+const linkGoogleAccount = async (req, linkToken, profile) => {
+  let decoded;
+  try {
+    decoded = verifyPurposeToken(linkToken, 'google-link');
+  } catch (error) {
+    return { info: { message: 'link_expired' } };
+  }
+
+  const expectedNonce = req.session?.googleLinkNonce;
+  if (req.session) delete req.session.googleLinkNonce;
+  if (!decoded.nonce || decoded.nonce !== expectedNonce) {
+    return { info: { message: 'link_expired' } };
+  }
+
+  const user = await User.findById(decoded.userId);
+  if (!user) {
+    return { info: { message: 'link_expired' } };
+  }
+
+  const owner = await User.findOne({ googleId: profile.id });
+  if (owner && !owner._id.equals(user._id)) {
+    return { info: { message: 'google_account_in_use' } };
+  }
+  if (user.googleId && user.googleId !== profile.id) {
+    return { info: { message: 'already_linked' } };
+  }
+
+  user.googleId = profile.id;
+  if (!user.profilePicture && profile.photos?.[0]) {
+    user.profilePicture = profile.photos[0].value;
+  }
+  await user.save();
+
+  return { user, info: { linked: true } };
+};
 
 passport.use(new GoogleStrategy({
   clientID: process.env.GOOGLE_CLIENT_ID,
   clientSecret: process.env.GOOGLE_CLIENT_SECRET,
-  callbackURL: `${process.env.SERVER_URL}/api/auth/google/callback`
-}, async (accessToken, refreshToken, profile, done) => {
+  callbackURL: `${process.env.SERVER_URL}/api/auth/google/callback`,
+  passReqToCallback: true
+}, async (req, accessToken, refreshToken, profile, done) => {
   try {
+    if (req.query.state) {
+      const { user, info } = await linkGoogleAccount(req, req.query.state, profile);
+      return done(null, user || false, info);
+    }
+
     let user = await User.findOne({ googleId: profile.id });
-    
-    if (!user) {
-      user = await User.create({
-        googleId: profile.id,
-        email: profile.emails[0].value,
-        name: profile.displayName,
-        profilePicture: profile.photos[0].value
-      });
+    if (user) {
+      return done(null, user);
     }
-    
+
+    const email = profile.emails[0].value.toLowerCase();
+    const isEmailVerified = profile.emails[0].verified === true;
+
+    // Same email registered with a password: link automatically, but only
+    // when Google vouches for the address
+    user = await User.findOne({ email });
+    if (user) {
+      if (!isEmailVerified || user.googleId) {
+        return done(null, false, { message: 'email_in_use' });
+      }
+
+      // Nobody ever proved they own this address, so whoever registered it may not be
+      // the person signing in now - drop their password, 2FA and sessions before linking
+      if (!user.isEmailVerified) {
+        await revokeAllTokens(user._id);
+        user.password = undefined;
+        user.twoFactor = { enabled: false };
+      }
+
+      user.googleId = profile.id;
+      user.isEmailVerified = true;
+      if (!user.profilePicture) {
+        user.profilePicture = profile.photos[0].value;
+      }
+      await user.save();
+      return done(null, user);
+    }
+
+    user = await User.create({
+      googleId: profile.id,
+      email,
+      name: profile.displayName,
+      profilePicture: profile.photos[0].value,
+      isEmailVerified
+    });
+
     return done(null, user);
   } catch (error) {
     return done(error, null);
@@ -39,4 +115,4 @@ passport.deserializeUser(async (id, done) => {
   }
 });
 
-module.exports = passport;
\ No newline at end of file
+module.exports = passport;
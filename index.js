@@ -7,6 +7,11 @@ require('dotenv').config();
 
 const app = express();
 
+// Behind a reverse proxy (Render, Heroku, nginx) so req.ip is the client's address
+if (process.env.TRUST_PROXY === 'true') {
+  app.set('trust proxy', 1);
+}
+
 // Fix CORS configuration
 app.use(cors({
   origin: [
@@ -56,7 +61,10 @@ mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log(' MongoDB connected successfully'))
+.then(() => {
+  console.log(' MongoDB connected successfully');
+  require('./utils/dataExport').scheduleExportCleanup();
+})
 .catch(err => console.error(' MongoDB connection error:', err));
 
 // Routes
@@ -68,6 +76,10 @@ app.use('/api/events', require('./routes/events'));
 app.use('/api/expenses', require('./routes/expenses'));
 app.use('/api/polls', require('./routes/polls'));
 app.use('/api/media', require('./routes/media'));
+app.use('/api/users', require('./routes/users'));
+app.use('/api/messages', require('./routes/messages'));
+app.use('/api/institutions', require('./routes/institutions'));
+app.use('/api/admin', require('./routes/admin'));
 
 // 404 handler
 app.use((req, res) => {
@@ -1,37 +1,134 @@
-const { verifyToken } = require('../utils/jwt');
+const { verifyToken, hashToken } = require('../utils/jwt');
 const User = require('../models/User');
+const AccessToken = require('../models/AccessToken');
+const { getActiveSession } = require('../utils/sessions');
 
-const isAuthenticated = async (req, res, next) => {
-  try {
-    // Check session (Google OAuth)
-    if (req.isAuthenticated && req.isAuthenticated()) {
-      return next();
-    }
-    
-    // Check JWT token
-    const authHeader = req.headers.authorization;
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-      const token = authHeader.substring(7);
-      
-      try {
-        const decoded = verifyToken(token);
-        const user = await User.findById(decoded.userId).select('-password');
+const PAT_PREFIX = 'bh_pat_';
+
+// Sends a 403 and returns true if the user is currently suspended
+const rejectSuspended = (res, user) => {
+  if (!user.isSuspended || !user.isSuspended()) return false;
+  
+  res.status(403).json({
+    message: 'Your account has been suspended',
+    reason: user.suspension.reason,
+    until: user.suspension.until
+  });
+  return true;
+};
+
+// Resolve a personal access token to its user, enforcing scope, expiry and community restriction
+const authenticateAccessToken = async (req, res, next, token, scope) => {
+  if (!scope) {
+    return res.status(403).json({ message: 'Personal access tokens cannot be used for this endpoint' });
+  }
+  
+  const accessToken = await AccessToken.findOne({ tokenHash: hashToken(token) });
+  if (!accessToken || !accessToken.isActive()) {
+    return res.status(401).json({ message: 'Invalid token' });
+  }
+  
+  if (!accessToken.scopes.includes(scope)) {
+    return res.status(403).json({ message: `Token is missing the ${scope} scope` });
+  }
+  
+  const user = await User.findById(accessToken.user).select('-password');
+  if (!user) {
+    return res.status(401).json({ message: 'User not found' });
+  }
+  if (rejectSuspended(res, user)) return;
+  
+  req.user = user;
+  req.accessToken = accessToken;
+  
+  const communityId = req.params.communityId || req.query.communityId || req.body?.communityId;
+  if (communityId && !tokenAllowsCommunity(req, communityId)) {
+    return res.status(403).json({ message: 'Token is restricted to another community' });
+  }
+  
+  // Don't write on every request
+  if (!accessToken.lastUsedAt || Date.now() - accessToken.lastUsedAt > 60 * 1000) {
+    await AccessToken.updateOne({ _id: accessToken._id }, { lastUsedAt: Date.now() });
+  }
+  
+  next();
+};
+
+// Session, JWT and (when a scope is given) personal access token authentication
+const authenticate = (scope = null) => {
+  return async (req, res, next) => {
+    try {
+      // Check session cookie (set by req.login)
+      if (req.isAuthenticated && req.isAuthenticated()) {
+        const session = await getActiveSession(req.session.authSessionId, req.user._id, req);
         
-        if (!user) {
-          return res.status(401).json({ message: 'User not found' });
+        // Signed out from another device (or a cookie from before sessions were tracked)
+        if (!session) {
+          return req.logout(() => {
+            res.status(401).json({ message: 'Session has been signed out' });
+          });
         }
+        if (rejectSuspended(res, req.user)) return;
         
-        req.user = user;
+        req.authSession = session;
         return next();
-      } catch (error) {
-        return res.status(401).json({ message: 'Invalid token' });
       }
+      
+      const authHeader = req.headers.authorization;
+      if (authHeader && authHeader.startsWith('Bearer ')) {
+        const token = authHeader.substring(7);
+        
+        // Check personal access token
+        if (token.startsWith(PAT_PREFIX)) {
+          return authenticateAccessToken(req, res, next, token, scope);
+        }
+        
+        // Check JWT token
+        try {
+          const decoded = verifyToken(token);
+          const user = await User.findById(decoded.userId).select('-password');
+          
+          if (!user) {
+            return res.status(401).json({ message: 'User not found' });
+          }
+
+          // Token was revoked (logout everywhere, password change, etc.)
+          if ((decoded.tv || 0) !== (user.tokenVersion || 0)) {
+            return res.status(401).json({ message: 'Token has been revoked' });
+          }
+
+          // The device was signed out
+          const session = await getActiveSession(decoded.sid, user._id, req);
+          if (!session) {
+            return res.status(401).json({ message: 'Session has been signed out' });
+          }
+          if (rejectSuspended(res, user)) return;
+
+          req.user = user;
+          req.authSession = session;
+          return next();
+        } catch (error) {
+          return res.status(401).json({ message: 'Invalid token' });
+        }
+      }
+      
+      res.status(401).json({ message: 'Authentication required' });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
     }
-    
-    res.status(401).json({ message: 'Authentication required' });
-  } catch (error) {
-    res.status(500).json({ message: error.message });
-  }
+  };
+};
+
+// Sessions and JWTs only
+const isAuthenticated = authenticate();
+
+// Like isAuthenticated, but also accepts personal access tokens carrying `scope`
+const requireScope = (scope) => authenticate(scope);
+
+// False only when the request uses a token restricted to a different community
+const tokenAllowsCommunity = (req, communityId) => {
+  if (!req.accessToken || !req.accessToken.community) return true;
+  return req.accessToken.community.toString() === communityId.toString();
 };
 
 const isRole = (...roles) => {
@@ -46,29 +143,91 @@ const isRole = (...roles) => {
   };
 };
 
-const isCommunityMember = async (req, res, next) => {
-  try {
-    const Community = require('../models/Community');
-    const communityId = req.params.communityId || req.body.communityId;
-    
-    const community = await Community.findById(communityId);
-    if (!community) {
-      return res.status(404).json({ message: 'Community not found' });
+// EMAIL_VERIFICATION_POLICY=optional lets unverified users do everything
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.EMAIL_VERIFICATION_POLICY === 'optional') {
+    return next();
+  }
+  if (!req.user) {
+    return res.status(401).json({ message: 'Authentication required' });
+  }
+  if (!req.user.isEmailVerified) {
+    return res.status(403).json({ 
+      message: 'Please verify your email address first',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+  next();
+};
+
+// Blocks writes to archived communities. Must run after isCommunityMember;
+// routes on a single document get the same check from authorizeResource.
+const rejectArchived = () => {
+  return async (req, res, next) => {
+    try {
+      const community = req.community;
+      
+      if (community && community.archivedAt) {
+        return res.status(403).json({ 
+          message: 'This community is archived and read-only',
+          code: 'COMMUNITY_ARCHIVED'
+        });
+      }
+      
+      next();
+    } catch (error) {
+      res.status(500).json({ message: error.message });
     }
-    
-    if (!community.members.includes(req.user._id)) {
-      return res.status(403).json({ message: 'Not a member of this community' });
+  };
+};
+
+// Loads req.community and rejects users who can't access it. Moderators of parent
+// communities always pass; with allowDescendantMembers, so do members of sub-communities.
+const checkCommunityAccess = ({ allowDescendantMembers = false } = {}) => {
+  return async (req, res, next) => {
+    try {
+      const Community = require('../models/Community');
+      const communityId = req.params.communityId || req.body.communityId;
+      
+      const community = await Community.findById(communityId);
+      if (!community) {
+        return res.status(404).json({ message: 'Community not found' });
+      }
+      
+      await community.loadInheritedModerators();
+      
+      const allowed = community.members.includes(req.user._id) ||
+        community.isModerator(req.user._id) ||
+        (allowDescendantMembers && await community.hasDescendantMember(req.user._id));
+      if (!allowed) {
+        return res.status(403).json({ message: 'Not a member of this community' });
+      }
+      
+      if (!tokenAllowsCommunity(req, community._id)) {
+        return res.status(403).json({ message: 'Token is restricted to another community' });
+      }
+      
+      req.community = community;
+      next();
+    } catch (error) {
+      res.status(500).json({ message: error.message });
     }
-    
-    req.community = community;
-    next();
-  } catch (error) {
-    res.status(500).json({ message: error.message });
-  }
+  };
 };
 
+const isCommunityMember = checkCommunityAccess();
+
+// Read access: also lets members of sub-communities see the parent
+const canViewCommunity = checkCommunityAccess({ allowDescendantMembers: true });
+
 module.exports = {
+  PAT_PREFIX,
   isAuthenticated,
+  requireScope,
+  tokenAllowsCommunity,
   isRole,
-  isCommunityMember
+  requireVerifiedEmail,
+  isCommunityMember,
+  canViewCommunity,
+  rejectArchived
 };
\ No newline at end of file
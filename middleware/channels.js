@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const Channel = require('../models/Channel');
+
+// Resolve an optional channelId (body or query) within req.community into req.channel.
+// Unknown channels and restricted channels the user can't see are rejected.
+// Must run after isCommunityMember.
+const resolveChannel = async (req, res, next) => {
+  try {
+    const channelId = req.body?.channelId || req.query.channelId;
+    if (!channelId) return next();
+    
+    if (!mongoose.isValidObjectId(channelId)) {
+      return res.status(400).json({ message: 'Invalid channel ID' });
+    }
+    
+    const channel = await Channel.findOne({ _id: channelId, community: req.community._id });
+    if (!channel || !channel.canView(req.community, req.user._id)) {
+      return res.status(404).json({ message: 'Channel not found' });
+    }
+    
+    req.channel = channel;
+    next();
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Query condition that hides content from restricted channels the user can't see
+const visibleChannelsFilter = async (community, userId) => {
+  if (community.isModerator(userId)) return {};
+  
+  const hidden = await Channel.find({
+    community: community._id,
+    isRestricted: true,
+    allowedMembers: { $ne: userId }
+  }).distinct('_id');
+  
+  return hidden.length > 0 ? { channel: { $nin: hidden } } : {};
+};
+
+module.exports = {
+  resolveChannel,
+  visibleChannelsFilter
+};
@@ -0,0 +1,44 @@
+const ACTION_LABELS = {
+  createThread: 'start threads',
+  createEvent: 'create events',
+  createPoll: 'create polls',
+  createExpense: 'add expenses',
+  uploadMedia: 'upload media',
+  uploadNote: 'upload notes',
+  pinThread: 'pin threads',
+  comment: 'comment'
+};
+
+// Response body for a refused action
+const permissionDenied = (action) => ({
+  message: `Your role can't ${ACTION_LABELS[action]} in this community`,
+  code: 'PERMISSION_DENIED'
+});
+
+// Checks req.community's permission matrix for `action`. Must run after isCommunityMember;
+// routes on a single document pass `permission` to authorizeResource instead.
+const requirePermission = (action) => {
+  if (!ACTION_LABELS[action]) {
+    throw new Error(`Unknown permission action: ${action}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      const community = req.community;
+      await community.loadInheritedModerators();
+
+      if (!community.hasPermission(req.user._id, action)) {
+        return res.status(403).json(permissionDenied(action));
+      }
+
+      next();
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  };
+};
+
+module.exports = {
+  requirePermission,
+  permissionDenied
+};
@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const Community = require('../models/Community');
+const Event = require('../models/Event');
+const Channel = require('../models/Channel');
+const { tokenAllowsCommunity } = require('./auth');
+const { permissionDenied } = require('./permissions');
+
+// Why the user may not access `community`, or null if they may.
+// 'read' also admits members of sub-communities (as does allowDescendantMembers for writes);
+// 'write' is refused while the community is archived.
+const getAccessError = async (req, community, access, allowDescendantMembers = access === 'read') => {
+  await community.loadInheritedModerators();
+
+  const userId = req.user._id;
+  const allowed = community.members.some(member => member.equals(userId)) ||
+    community.isModerator(userId) ||
+    (allowDescendantMembers && await community.hasDescendantMember(userId));
+  if (!allowed) {
+    return { status: 403, message: 'Not a member of this community' };
+  }
+
+  if (!tokenAllowsCommunity(req, community._id)) {
+    return { status: 403, message: 'Token is restricted to another community' };
+  }
+
+  if (access === 'write' && community.isArchived()) {
+    return { status: 403, message: 'This community is archived and read-only', code: 'COMMUNITY_ARCHIVED' };
+  }
+
+  return null;
+};
+
+// Load a community-owned document and check it against the options of authorizeResource.
+// Resolves to { resource, community } or { error: { status, message } }.
+const loadAuthorizedResource = async (req, Model, id, {
+  access = 'write', permission, owner, moderators = false, allowDescendantMembers
+} = {}) => {
+  const notFound = { status: 404, message: `${Model.modelName} not found` };
+
+  if (!mongoose.isValidObjectId(id)) return { error: notFound };
+
+  const resource = await Model.findById(id);
+  if (!resource) return { error: notFound };
+
+  const community = await Community.findById(resource.community);
+  if (!community) return { error: notFound };
+
+  const error = await getAccessError(req, community, access,
+    allowDescendantMembers ? allowDescendantMembers(resource) : access === 'read');
+  if (error) return { error };
+
+  if (resource.channel) {
+    const channel = await Channel.findById(resource.channel);
+    if (channel && !channel.canView(community, req.user._id)) return { error: notFound };
+  }
+
+  if (permission && !community.hasPermission(req.user._id, permission)) {
+    return { error: { status: 403, ...permissionDenied(permission) } };
+  }
+
+  if (owner) {
+    const isOwner = resource[owner] && resource[owner].equals(req.user._id);
+    if (!isOwner && !(moderators && community.isModerator(req.user._id))) {
+      return { error: {
+        status: 403,
+        message: moderators ? 'Only the author or a moderator can do this' : 'Only the creator can do this'
+      } };
+    }
+  }
+
+  return { resource, community };
+};
+
+const sendError = (res, { status, ...body }) => res.status(status).json(body);
+
+// Load the document identified by req.params[param] and authorize it in one place.
+// Sets req.resource and req.community. Options:
+//   access      'read' or 'write' (default)
+//   permission  action from the community's permission matrix, see requirePermission
+//   owner       field holding the user who owns the document; others are refused...
+//   moderators  ...unless this is true and they moderate the community
+//   allowDescendantMembers  (resource) => true to also admit members of sub-communities on a write
+// Content in restricted channels is reported as not found to users who can't see the channel.
+const authorizeResource = (Model, param, options) => {
+  return async (req, res, next) => {
+    try {
+      const { error, resource, community } = await loadAuthorizedResource(req, Model, req.params[param], options);
+      if (error) return sendError(res, error);
+
+      req.resource = resource;
+      req.community = community;
+      next();
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  };
+};
+
+// For list routes filtered by ?eventId= or ?communityId=: authorizes whichever is given
+// (the event wins) and sets req.community, plus req.event for events. Passes through when neither is set.
+const authorizeQuery = ({ access = 'read' } = {}) => {
+  return async (req, res, next) => {
+    try {
+      const { eventId, communityId } = req.query;
+
+      if (eventId) {
+        const { error, resource, community } = await loadAuthorizedResource(req, Event, String(eventId), { access });
+        if (error) return sendError(res, error);
+
+        req.event = resource;
+        req.community = community;
+        return next();
+      }
+
+      if (!communityId) return next();
+
+      const community = mongoose.isValidObjectId(communityId) && await Community.findById(communityId);
+      if (!community) {
+        return res.status(404).json({ message: 'Community not found' });
+      }
+
+      const error = await getAccessError(req, community, access);
+      if (error) return sendError(res, error);
+
+      req.community = community;
+      next();
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  };
+};
+
+module.exports = {
+  authorizeResource,
+  authorizeQuery
+};
@@ -0,0 +1,127 @@
+const { createAttemptStore } = require('../utils/attemptStore');
+
+const store = createAttemptStore();
+
+const MINUTE = 60 * 1000;
+
+// freeAttempts: failures allowed before backoff starts
+// ipFreeAttempts: same for the per-IP counter when it differs - kept well above the
+//   per-account limits so one campus NAT can't lock out everyone behind it
+// backoff: baseDelayMs doubled per extra failure, capped at maxDelayMs
+// lockoutThreshold/lockoutMs: per-account lockout (account keys only)
+const SCOPES = {
+  login: {
+    freeAttempts: 5,
+    ipFreeAttempts: 50,
+    windowMs: 15 * MINUTE,
+    baseDelayMs: 1000,
+    maxDelayMs: 15 * MINUTE,
+    lockoutThreshold: 10,
+    lockoutMs: 30 * MINUTE
+  },
+  '2fa': {
+    freeAttempts: 5,
+    ipFreeAttempts: 50,
+    windowMs: 15 * MINUTE,
+    baseDelayMs: 1000,
+    maxDelayMs: 15 * MINUTE,
+    lockoutThreshold: 10,
+    lockoutMs: 30 * MINUTE
+  },
+  'forgot-password': {
+    freeAttempts: 3,
+    windowMs: 60 * MINUTE,
+    baseDelayMs: MINUTE,
+    maxDelayMs: 60 * MINUTE
+  },
+  'reset-password': {
+    freeAttempts: 5,
+    windowMs: 15 * MINUTE,
+    baseDelayMs: 1000,
+    maxDelayMs: 15 * MINUTE
+  },
+  'verify-email': {
+    freeAttempts: 10,
+    windowMs: 15 * MINUTE,
+    baseDelayMs: 1000,
+    maxDelayMs: 15 * MINUTE
+  }
+};
+
+const ipKey = (req, scope) => `${scope}:ip:${req.ip}`;
+const accountKey = (scope, account) => `${scope}:account:${String(account).toLowerCase()}`;
+
+// Reject the request while the IP or the account is backing off / locked
+const throttle = (scope, getAccount = () => null) => {
+  return async (req, res, next) => {
+    try {
+      // Account first so a lockout is reported as such
+      const account = getAccount(req);
+      const keys = [ipKey(req, scope)];
+      if (account) keys.unshift(accountKey(scope, account));
+
+      for (const key of keys) {
+        const record = await store.get(key);
+        const blockedUntil = record?.blockedUntil ? new Date(record.blockedUntil) : null;
+
+        if (blockedUntil && blockedUntil > new Date()) {
+          const retryAfter = Math.ceil((blockedUntil - Date.now()) / 1000);
+          res.set('Retry-After', String(retryAfter));
+          return res.status(429).json({
+            message: record.lockedOut
+              ? 'Account temporarily locked due to too many failed attempts. Try again later.'
+              : `Too many attempts. Try again in ${retryAfter} seconds.`,
+            retryAfter
+          });
+        }
+      }
+
+      next();
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  };
+};
+
+// Count a failed attempt. Resolves to { lockedOut: true, lockedUntil } when
+// this failure just locked the account, so the caller can notify the owner.
+const recordFailedAttempt = async (req, scope, account) => {
+  const config = SCOPES[scope];
+  const keys = [{ key: ipKey(req, scope), isAccount: false }];
+  if (account) keys.push({ key: accountKey(scope, account), isAccount: true });
+
+  let lockedOut = false;
+  let lockedUntil = null;
+
+  for (const { key, isAccount } of keys) {
+    const record = await store.increment(key, config.windowMs);
+    const freeAttempts = isAccount ? config.freeAttempts : (config.ipFreeAttempts || config.freeAttempts);
+
+    if (isAccount && config.lockoutThreshold && record.count >= config.lockoutThreshold) {
+      if (!record.lockedOut) {
+        lockedUntil = new Date(Date.now() + config.lockoutMs);
+        await store.block(key, lockedUntil, true);
+        lockedOut = true;
+      }
+    } else if (record.count >= freeAttempts) {
+      const extra = record.count - freeAttempts;
+      const delay = Math.min(config.baseDelayMs * Math.pow(2, extra), config.maxDelayMs);
+      await store.block(key, new Date(Date.now() + delay));
+    }
+  }
+
+  return { lockedOut, lockedUntil };
+};
+
+// Successful attempt: forget the account's failures (IP counters keep running)
+const clearFailedAttempts = async (scope, account) => {
+  if (!account) return;
+  await store.reset(accountKey(scope, account));
+};
+
+module.exports = {
+  throttle,
+  recordFailedAttempt,
+  clearFailedAttempts,
+  SCOPES
+};
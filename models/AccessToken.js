@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Scopes a personal access token can be granted
+const SCOPES = [
+  'communities:read',
+  'notes:read',
+  'notes:write',
+  'threads:read',
+  'threads:write',
+  'events:read',
+  'events:write',
+  'polls:write',
+  'media:read',
+  'media:write',
+  'expenses:write'
+];
+
+const accessTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  // Only the SHA-256 hash of the token is stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // First characters of the token, so users can tell tokens apart
+  tokenPrefix: String,
+  scopes: [{
+    type: String,
+    enum: SCOPES
+  }],
+  // Optional: token only works inside this community
+  community: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Community'
+  },
+  expiresAt: Date,
+  lastUsedAt: Date,
+  revokedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+accessTokenSchema.index({ user: 1 });
+
+accessTokenSchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+accessTokenSchema.statics.SCOPES = SCOPES;
+
+module.exports = mongoose.model('AccessToken', accessTokenSchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+const EVENTS = [
+  'login',
+  'logout',
+  'logout_all',
+  'session_revoked',
+  'password_change',
+  'password_reset_request',
+  'password_reset',
+  'password_set',
+  'email_verified',
+  'institution_verified',
+  'profile_picture_change',
+  'two_factor_enabled',
+  'two_factor_disabled',
+  'two_factor_recovery_codes',
+  'google_linked',
+  'google_unlinked',
+  'access_token_created',
+  'access_token_revoked',
+  'data_export',
+  'account_locked',
+  'account_suspended',
+  'account_unsuspended',
+  'role_changed',
+  'account_deleted'
+];
+
+// Append-only record of security-relevant account events (see utils/auditLog.js)
+const auditLogSchema = new mongoose.Schema({
+  // Account the event is about (missing for attempts on unknown emails)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  // Who performed it, when different from `user` (e.g. an admin)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  event: {
+    type: String,
+    enum: EVENTS,
+    required: true
+  },
+  outcome: {
+    type: String,
+    enum: ['success', 'failure'],
+    default: 'success'
+  },
+  ip: String,
+  userAgent: String,
+  // Small event-specific details, e.g. { reason: 'invalid_password', method: 'google' }
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+auditLogSchema.index({ user: 1, createdAt: -1 });
+
+// Retention: MongoDB prunes entries once AUDIT_LOG_RETENTION_DAYS have passed
+auditLogSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Entries are never edited once written
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log entries cannot be modified'));
+  }
+  next();
+});
+
+for (const op of ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace']) {
+  auditLogSchema.pre(op, function(next) {
+    next(new Error('Audit log entries cannot be modified'));
+  });
+}
+
+auditLogSchema.statics.EVENTS = EVENTS;
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
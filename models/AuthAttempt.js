@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Attempt counters for the Mongo-backed throttle store (see utils/attemptStore.js)
+const authAttemptSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  blockedUntil: Date,
+  lockedOut: {
+    type: Boolean,
+    default: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Let MongoDB drop counters once their window (or block) is over
+authAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthAttempt', authAttemptSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Named section of a community (per subject, lab group, ...). Threads, notes,
+// events and polls can optionally belong to one.
+const channelSchema = new mongoose.Schema({
+  community: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Community',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  description: {
+    type: String,
+    maxlength: 300
+  },
+  // Restricted channels are only visible to moderators and allowedMembers
+  isRestricted: {
+    type: Boolean,
+    default: false
+  },
+  allowedMembers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+channelSchema.index({ community: 1, name: 1 }, { unique: true });
+
+channelSchema.methods.canView = function(community, userId) {
+  if (!this.isRestricted || community.isModerator(userId)) return true;
+  return this.allowedMembers.some(member => member.equals(userId));
+};
+
+module.exports = mongoose.model('Channel', channelSchema);
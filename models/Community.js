@@ -1,4 +1,28 @@
 const mongoose = require('mongoose');
+const { generateUniqueCode, retryOnCodeCollision } = require('../utils/codes');
+
+// Roles used by the permission matrix. Members without a community role are 'member'.
+const PERMISSION_ROLES = ['member', 'cr', 'teacher', 'moderator'];
+
+// Who may do what when a community hasn't configured an action
+const DEFAULT_PERMISSIONS = {
+  createThread: ['member', 'cr', 'teacher', 'moderator'],
+  createEvent: ['member', 'cr', 'teacher', 'moderator'],
+  createPoll: ['member', 'cr', 'teacher', 'moderator'],
+  createExpense: ['member', 'cr', 'teacher', 'moderator'],
+  uploadMedia: ['member', 'cr', 'teacher', 'moderator'],
+  uploadNote: ['member', 'cr', 'teacher', 'moderator'],
+  pinThread: ['moderator'],
+  comment: ['member', 'cr', 'teacher', 'moderator']
+};
+
+// Unset actions fall back to DEFAULT_PERMISSIONS
+const permissionsSchema = Object.fromEntries(
+  Object.keys(DEFAULT_PERMISSIONS).map(action => [action, {
+    type: [{ type: String, enum: PERMISSION_ROLES }],
+    default: undefined
+  }])
+);
 
 const communitySchema = new mongoose.Schema({
   name: {
@@ -34,28 +58,274 @@ const communitySchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  // When each member joined; members from before this was tracked have no entry
+  memberJoins: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Elevated roles in this community; members not listed here are students
+  memberRoles: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    role: {
+      type: String,
+      enum: ['cr', 'teacher']
+    },
+    grantedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    grantedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Banned users cannot rejoin until the ban is lifted or expires
+  bans: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: {
+      type: String,
+      maxlength: 500
+    },
+    bannedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    bannedAt: {
+      type: Date,
+      default: Date.now
+    },
+    // Empty means permanent
+    expiresAt: Date
+  }],
   settings: {
     isPrivate: {
       type: Boolean,
       default: false
     },
+    // Legacy switch, only read while permissions.uploadNote is unset
     allowStudentUploads: {
       type: Boolean,
       default: true
+    },
+    // Roles allowed per action, see DEFAULT_PERMISSIONS
+    permissions: permissionsSchema,
+    // Only verified members of the institution can find and join the community
+    institutionOnly: {
+      type: Boolean,
+      default: false
+    },
+    // Private communities: skip the join request for verified emails on these domains
+    autoApprove: {
+      emailDomains: [{
+        type: String,
+        lowercase: true,
+        trim: true
+      }]
     }
   },
+  // Optional parent, e.g. department -> batch -> section
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Community'
+  },
+  // All ancestors from the root down to the parent, kept in sync when a community moves
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Community'
+  }],
+  // Set for communities that belong to an institution
+  institution: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Institution'
+  },
+  // Created by an institution admin
+  isOfficial: {
+    type: Boolean,
+    default: false
+  },
+  // Archived communities are read-only (see rejectArchived in middleware/auth.js)
+  archivedAt: Date,
+  archivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Last time content was posted; used to sort discovery results
+  lastActivityAt: {
+    type: Date,
+    default: Date.now
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+communitySchema.index({ name: 'text', description: 'text' });
+communitySchema.index({ lastActivityAt: -1 });
+communitySchema.index({ parent: 1 });
+communitySchema.index({ ancestors: 1 });
+
+const CODE_LENGTH = 6;
+
+// Levels in a hierarchy, counting the root
+const MAX_DEPTH = 3;
+
 // Generate unique community code
-communitySchema.pre('save', function(next) {
+communitySchema.pre('save', async function() {
   if (!this.code) {
-    this.code = Math.random().toString(36).substring(2, 8).toUpperCase();
+    this.code = await generateUniqueCode(this.constructor, 'code', CODE_LENGTH);
   }
-  next();
 });
 
+// Replace a leaked code; the old one stops working immediately
+communitySchema.methods.regenerateCode = async function() {
+  this.code = await generateUniqueCode(this.constructor, 'code', CODE_LENGTH);
+  return this.code;
+};
+
+// Save a new community or a regenerated code, drawing another code if a concurrent save took it
+communitySchema.methods.saveWithUniqueCode = function() {
+  return retryOnCodeCollision('code', async (attempt) => {
+    if (attempt > 0) await this.regenerateCode();
+    return this.save();
+  });
+};
+
+// Role of a member in this community: 'student', 'cr' or 'teacher'
+communitySchema.methods.getMemberRole = function(userId) {
+  const entry = this.memberRoles.find(r => r.user.equals(userId));
+  return entry ? entry.role : 'student';
+};
+
+// Give a member a role; 'student' removes any elevated role
+communitySchema.methods.setMemberRole = function(userId, role, grantedBy) {
+  this.memberRoles = this.memberRoles.filter(r => !r.user.equals(userId));
+  if (role !== 'student') {
+    this.memberRoles.push({ user: userId, role, grantedBy, grantedAt: Date.now() });
+  }
+};
+
+// Creator or moderator, here or (once loadInheritedModerators ran) in any ancestor
+communitySchema.methods.isModerator = function(userId) {
+  const inherited = this.$locals.inheritedModerators || [];
+  return this.creator.equals(userId) ||
+    this.moderators.some(mod => mod.equals(userId)) ||
+    inherited.some(mod => mod.equals(userId));
+};
+
+// Moderators of ancestors also moderate this community
+communitySchema.methods.loadInheritedModerators = async function() {
+  if (this.$locals.inheritedModerators) return this.$locals.inheritedModerators;
+  
+  let inherited = [];
+  if (this.ancestors?.length) {
+    const ancestors = await this.constructor.find({ _id: { $in: this.ancestors } }).select('creator moderators');
+    inherited = ancestors.flatMap(a => [a.creator, ...a.moderators]);
+  }
+  this.$locals.inheritedModerators = inherited;
+  return inherited;
+};
+
+// Members of a sub-community can see its parents
+communitySchema.methods.hasDescendantMember = async function(userId) {
+  return !!(await this.constructor.exists({ ancestors: this._id, members: userId }));
+};
+
+// The user's role for permission checks: 'moderator', 'cr', 'teacher' or 'member'
+communitySchema.methods.getPermissionRole = function(userId) {
+  if (this.isModerator(userId)) return 'moderator';
+  const role = this.getMemberRole(userId);
+  return role === 'student' ? 'member' : role;
+};
+
+// Roles allowed to perform an action in this community
+communitySchema.methods.getAllowedRoles = function(action) {
+  const configured = this.settings?.permissions?.[action];
+  if (configured) return [...configured];
+  if (action === 'uploadNote' && this.settings?.allowStudentUploads === false) {
+    return ['cr', 'teacher', 'moderator'];
+  }
+  return [...DEFAULT_PERMISSIONS[action]];
+};
+
+// The full matrix with defaults filled in
+communitySchema.methods.getPermissions = function() {
+  return Object.fromEntries(
+    Object.keys(DEFAULT_PERMISSIONS).map(action => [action, this.getAllowedRoles(action)])
+  );
+};
+
+// Moderators can always do everything
+communitySchema.methods.hasPermission = function(userId, action) {
+  const role = this.getPermissionRole(userId);
+  return role === 'moderator' || this.getAllowedRoles(action).includes(role);
+};
+
+// Add a member and record when they joined
+communitySchema.methods.addMember = function(userId) {
+  if (this.members.some(member => member.equals(userId))) return;
+  this.members.push(userId);
+  this.memberJoins.push({ user: userId, joinedAt: Date.now() });
+};
+
+communitySchema.methods.getJoinedAt = function(userId) {
+  const entry = this.memberJoins.find(j => j.user.equals(userId));
+  return entry ? entry.joinedAt : null;
+};
+
+// Remove a user's membership, moderator status and community role
+communitySchema.methods.removeMember = function(userId) {
+  this.members = this.members.filter(member => !member.equals(userId));
+  this.memberJoins = this.memberJoins.filter(j => !j.user.equals(userId));
+  this.moderators = this.moderators.filter(mod => !mod.equals(userId));
+  this.setMemberRole(userId, 'student');
+};
+
+// True if the user can join a private community without a join request
+communitySchema.methods.isAutoApproved = function(user) {
+  const domains = this.settings?.autoApprove?.emailDomains || [];
+  if (!user.isEmailVerified || domains.length === 0) return false;
+  
+  const domain = user.email.split('@').pop().toLowerCase();
+  return domains.includes(domain);
+};
+
+// False when the community is limited to its institution and the user isn't a verified member
+communitySchema.methods.allowsInstitutionMember = function(user) {
+  if (!this.institution || !this.settings?.institutionOnly) return true;
+  return user.isInstitutionMember(this.institution);
+};
+
+// The user's ban if it is still in effect, otherwise null
+communitySchema.methods.getActiveBan = function(userId) {
+  const ban = this.bans.find(b => b.user.equals(userId));
+  if (!ban || (ban.expiresAt && ban.expiresAt <= new Date())) return null;
+  return ban;
+};
+
+communitySchema.methods.isArchived = function() {
+  return !!this.archivedAt;
+};
+
+// Bump lastActivityAt when something is posted in the community
+communitySchema.statics.recordActivity = function(communityId) {
+  return this.updateOne({ _id: communityId }, { lastActivityAt: Date.now() });
+};
+
+communitySchema.statics.MAX_DEPTH = MAX_DEPTH;
+communitySchema.statics.PERMISSION_ROLES = PERMISSION_ROLES;
+communitySchema.statics.DEFAULT_PERMISSIONS = DEFAULT_PERMISSIONS;
+
 module.exports = mongoose.model('Community', communitySchema);
\ No newline at end of file
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const conversationSchema = new mongoose.Schema({
+  participants: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  isGroup: {
+    type: Boolean,
+    default: false
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Preview for the conversation list
+  lastMessage: {
+    content: String,
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: Date
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  },
+  // When each participant last read the conversation (drives unread counts)
+  readState: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    lastReadAt: Date
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+conversationSchema.index({ participants: 1, lastMessageAt: -1 });
+
+conversationSchema.methods.isParticipant = function(userId) {
+  return this.participants.some(p => p.equals(userId));
+};
+
+conversationSchema.methods.getLastReadAt = function(userId) {
+  const state = this.readState.find(r => r.user.equals(userId));
+  return state ? state.lastReadAt : new Date(0);
+};
+
+conversationSchema.methods.markRead = function(userId, at = new Date()) {
+  const state = this.readState.find(r => r.user.equals(userId));
+  if (state) {
+    state.lastReadAt = at;
+  } else {
+    this.readState.push({ user: userId, lastReadAt: at });
+  }
+};
+
+module.exports = mongoose.model('Conversation', conversationSchema);
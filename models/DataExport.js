@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const dataExportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'ready', 'failed'],
+    default: 'pending'
+  },
+  // Archive stored as an authenticated raw file on Cloudinary
+  publicId: String,
+  itemCount: Number,
+  error: String,
+  completedAt: Date,
+  expiresAt: {
+    type: Date,
+    default: () => Date.now() + 7 * 24 * 60 * 60 * 1000 // 7 days
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+dataExportSchema.index({ user: 1, createdAt: -1 });
+// Not a TTL index: the archive on Cloudinary has to go too, see cleanupExpiredExports
+dataExportSchema.index({ expiresAt: 1 });
+
+module.exports = mongoose.model('DataExport', dataExportSchema);
@@ -14,11 +14,21 @@ const eventSchema = new mongoose.Schema({
     ref: 'Community',
     required: true
   },
+  // Optional channel within the community
+  channel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Channel'
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  // Also shown in every sub-community (moderators only)
+  cascadeToChildren: {
+    type: Boolean,
+    default: false
+  },
   date: {
     type: Date,
     required: true
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// A college or school. Groups communities and verifies membership by email domain.
+const institutionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  // e.g. ['college.edu']; subdomains such as cs.college.edu also match
+  emailDomains: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  website: String,
+  // Institution admins create official communities and manage the institution
+  admins: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+institutionSchema.index({ emailDomains: 1 });
+
+// True if the address belongs to one of the institution's domains
+institutionSchema.methods.ownsEmail = function(email) {
+  const domain = email.split('@').pop().toLowerCase();
+  return this.emailDomains.some(d => domain === d || domain.endsWith(`.${d}`));
+};
+
+institutionSchema.methods.isAdmin = function(userId) {
+  return this.admins.some(admin => admin.equals(userId));
+};
+
+module.exports = mongoose.model('Institution', institutionSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// Invite into a community: a shareable link (optionally limited in uses)
+// or a personal invitation bound to one email address
+const inviteSchema = new mongoose.Schema({
+  community: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Community',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Community role given on joining
+  role: {
+    type: String,
+    enum: ['student', 'cr', 'teacher'],
+    default: 'student'
+  },
+  // Set for email invites; only this address can accept
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  // Empty means unlimited
+  maxUses: Number,
+  uses: {
+    type: Number,
+    default: 0
+  },
+  usedBy: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    usedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+inviteSchema.index({ community: 1, revokedAt: 1 });
+
+inviteSchema.methods.isUsable = function() {
+  return !this.revokedAt &&
+    this.expiresAt > new Date() &&
+    (!this.maxUses || this.uses < this.maxUses);
+};
+
+module.exports = mongoose.model('Invite', inviteSchema);
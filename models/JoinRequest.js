@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Request to join a private community, reviewed by its moderators
+const joinRequestSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  community: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Community',
+    required: true
+  },
+  message: {
+    type: String,
+    maxlength: 500
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewNote: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+joinRequestSchema.index({ community: 1, status: 1 });
+joinRequestSchema.index({ user: 1, community: 1 });
+
+module.exports = mongoose.model('JoinRequest', joinRequestSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const messageSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  content: {
+    type: String,
+    maxlength: 2000,
+    default: ''
+  },
+  attachments: [{
+    url: String,
+    type: {
+      type: String,
+      enum: ['image', 'video', 'file']
+    },
+    name: String,
+    size: Number
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+messageSchema.index({ conversation: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Message', messageSchema);
@@ -25,6 +25,11 @@ const noteSchema = new mongoose.Schema({
     ref: 'Community',
     required: true
   },
+  // Optional channel within the community
+  channel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Channel'
+  },
   uploadedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -20,6 +20,11 @@ const pollSchema = new mongoose.Schema({
     ref: 'Community',
     required: true
   },
+  // Optional channel within the community
+  channel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Channel'
+  },
   event: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Event'
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const roleRequestSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  community: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Community',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['cr', 'teacher'],
+    required: true
+  },
+  justification: {
+    type: String,
+    required: true,
+    maxlength: 500
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewNote: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+roleRequestSchema.index({ community: 1, status: 1 });
+roleRequestSchema.index({ user: 1, community: 1 });
+
+module.exports = mongoose.model('RoleRequest', roleRequestSchema);
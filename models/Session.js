@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// One record per login. The session cookie, the access JWTs (`sid` claim) and the
+// refresh token family of that login all point at it, so revoking it signs the device out.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  method: {
+    type: String,
+    enum: ['password', 'password+totp', 'password+recovery_code', 'google', 'google+totp', 'google+recovery_code'],
+    default: 'password'
+  },
+  // Human readable, e.g. "Chrome on Windows"
+  device: {
+    type: String,
+    default: 'Unknown device'
+  },
+  userAgent: String,
+  ip: String,
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB clean up sessions that were never refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -19,6 +19,11 @@ const threadSchema = new mongoose.Schema({
     ref: 'Community',
     required: true
   },
+  // Optional channel within the community
+  channel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Channel'
+  },
   author: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -28,6 +33,11 @@ const threadSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Posted by a moderator; also shown in every sub-community
+  isAnnouncement: {
+    type: Boolean,
+    default: false
+  },
   isResolved: {
     type: Boolean,
     default: false
@@ -60,5 +70,6 @@ const threadSchema = new mongoose.Schema({
 });
 
 threadSchema.index({ title: 'text', content: 'text' });
+threadSchema.index({ community: 1, isAnnouncement: 1 });
 
 module.exports = mongoose.model('Thread', threadSchema);
\ No newline at end of file
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 const bcryptjs = require('bcryptjs');
+const crypto = require('crypto');
+
+const EMAIL_VERIFICATION_TTL = 24 * 60 * 60 * 1000; // 24 hours
 
 const userSchema = new mongoose.Schema({
   // For Google OAuth users
@@ -34,9 +37,41 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  emailVerificationToken: String,
+  emailVerificationToken: String, // SHA-256 hash of the emailed token
+  emailVerificationExpires: Date,
+  emailVerificationSentAt: Date,
   passwordResetToken: String,
   passwordResetExpires: Date,
+  // Bumped to invalidate every access token issued before it
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  
+  // TOTP two-factor authentication (email/password accounts only)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String], // SHA-256 hashes, each usable once
+      select: false
+    },
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
   
   // Profile fields
   profilePicture: {
@@ -70,18 +105,60 @@ const userSchema = new mongoose.Schema({
     }
   },
   
-  // User role and communities
+  // User role and communities ('admin' = platform administrator).
+  // Roles inside a community (cr/teacher) live on Community.memberRoles.
   role: {
     type: String,
-    enum: ['student', 'cr', 'teacher'],
+    enum: ['student', 'cr', 'teacher', 'admin'],
     default: 'student'
   },
+  // Accounts the platform owns (the "Deleted user" placeholder); never created through sign-up
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  
+  // Set by platform admins; suspended users cannot sign in or use the API
+  suspension: {
+    isSuspended: {
+      type: Boolean,
+      default: false
+    },
+    reason: String,
+    until: Date, // Empty means until lifted by an admin
+    suspendedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    suspendedAt: Date
+  },
   communities: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Community'
   }],
   
-  // Settings (for future use)
+  // Institutions whose email domain this user has proven they own
+  institutions: [{
+    institution: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Institution'
+    },
+    email: String,
+    verifiedAt: Date
+  }],
+  // Pending institution email check (same token flow as email verification)
+  institutionVerification: {
+    institution: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Institution'
+    },
+    email: String,
+    token: String, // SHA-256 hash of the emailed token
+    expires: Date,
+    sentAt: Date
+  },
+  
+  // Settings
   settings: {
     emailNotifications: {
       type: Boolean,
@@ -98,7 +175,13 @@ const userSchema = new mongoose.Schema({
     }
   },
   
-  // Privacy settings (for future use)
+  // Users this user has blocked from messaging them
+  blockedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  
+  // Privacy settings (applied by getVisibleProfile)
   privacy: {
     showEmail: {
       type: Boolean,
@@ -136,26 +219,148 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcryptjs.compare(candidatePassword, this.password);
 };
 
+// Suspension is over once `until` has passed
+userSchema.methods.isSuspended = function() {
+  if (!this.suspension?.isSuspended) return false;
+  return !this.suspension.until || this.suspension.until > new Date();
+};
+
+// Generate a verification token; stores only its hash and returns the raw token for the email
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  
+  this.emailVerificationToken = crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
+  this.emailVerificationExpires = Date.now() + EMAIL_VERIFICATION_TTL;
+  this.emailVerificationSentAt = Date.now();
+  
+  return token;
+};
+
 // Method to get public profile (excluding sensitive data)
 userSchema.methods.getPublicProfile = function() {
   const publicProfile = this.toObject();
   delete publicProfile.password;
   delete publicProfile.emailVerificationToken;
+  delete publicProfile.emailVerificationExpires;
+  delete publicProfile.emailVerificationSentAt;
   delete publicProfile.passwordResetToken;
   delete publicProfile.passwordResetExpires;
+  delete publicProfile.tokenVersion;
+  delete publicProfile.institutionVerification;
+  if (publicProfile.twoFactor) {
+    publicProfile.twoFactor = { enabled: publicProfile.twoFactor.enabled };
+  }
   delete publicProfile.googleId;
   delete publicProfile.__v;
   
   return publicProfile;
 };
 
+// Profile as seen by another user, filtered by the owner's visibility and privacy settings.
+// `sharesCommunity` tells whether viewer and owner are in at least one common community.
+userSchema.methods.getVisibleProfile = function(viewer, { sharesCommunity = false } = {}) {
+  const isSelf = viewer && viewer._id.equals(this._id);
+  const isAdmin = viewer && viewer.role === 'admin';
+  
+  const basic = {
+    _id: this._id,
+    name: this.name,
+    profilePicture: this.profilePicture
+  };
+  
+  if (isSelf || isAdmin) {
+    return { ...this.getPublicProfile(), isFullProfile: true };
+  }
+  
+  const visibility = this.settings?.profileVisibility || 'public';
+  if (visibility === 'private' || (visibility === 'communities' && !sharesCommunity)) {
+    return { ...basic, isFullProfile: false };
+  }
+  
+  return {
+    ...basic,
+    bio: this.bio,
+    website: this.website,
+    location: this.privacy?.showLocation !== false ? this.location : undefined,
+    email: this.privacy?.showEmail ? this.email : undefined,
+    allowMessaging: this.privacy?.allowMessaging !== false,
+    createdAt: this.createdAt,
+    isFullProfile: true
+  };
+};
+
+// True if either user has blocked the other
+userSchema.methods.hasBlockedOrIsBlockedBy = function(other) {
+  const blocked = (list, id) => (list || []).some(b => b.equals(id));
+  return blocked(this.blockedUsers, other._id) || blocked(other.blockedUsers, this._id);
+};
+
+// Like createEmailVerificationToken, for proving an institution email address
+userSchema.methods.createInstitutionVerificationToken = function(institutionId, email) {
+  const token = crypto.randomBytes(32).toString('hex');
+  
+  this.institutionVerification = {
+    institution: institutionId,
+    email,
+    token: crypto.createHash('sha256').update(token).digest('hex'),
+    expires: Date.now() + EMAIL_VERIFICATION_TTL,
+    sentAt: Date.now()
+  };
+  
+  return token;
+};
+
+// Verified member of the institution
+userSchema.methods.isInstitutionMember = function(institutionId) {
+  if (!institutionId) return false;
+  return (this.institutions || []).some(m => m.institution.equals(institutionId));
+};
+
+userSchema.statics.EMAIL_VERIFICATION_TTL = EMAIL_VERIFICATION_TTL;
+
 // Static method to find users by community
 userSchema.statics.findByCommunity = function(communityId) {
   return this.find({ communities: communityId })
-    .select('-password -emailVerificationToken -passwordResetToken -passwordResetExpires')
+    .select('-password -emailVerificationToken -emailVerificationExpires -emailVerificationSentAt -passwordResetToken -passwordResetExpires -tokenVersion')
     .populate('communities', 'name type');
 };
 
+// Addresses on this domain belong to system accounts and are refused at sign-up
+const RESERVED_EMAIL_DOMAIN = 'batchhub.invalid';
+
+userSchema.statics.isReservedEmail = function(email) {
+  return String(email).toLowerCase().endsWith(`@${RESERVED_EMAIL_DOMAIN}`);
+};
+
+// Shared "Deleted user" account that content is reassigned to when its author deletes their account.
+// Found by its fixed id, never by email, so a look-alike account can't take its place.
+const DELETED_USER_ID = new mongoose.Types.ObjectId('000000000000000000000001');
+
+userSchema.statics.getDeletedUserPlaceholder = async function() {
+  const existing = await this.findOne({ _id: DELETED_USER_ID, isSystem: true });
+  if (existing) return existing;
+  
+  try {
+    return await this.create({
+      _id: DELETED_USER_ID,
+      email: `system+deleted-user@${RESERVED_EMAIL_DOMAIN}`,
+      name: 'Deleted user',
+      password: crypto.randomBytes(32).toString('hex'), // Never handed out, so nobody can sign in
+      isEmailVerified: true,
+      isSystem: true
+    });
+  } catch (error) {
+    // Another request created it first
+    if (error.code === 11000) {
+      return this.findOne({ _id: DELETED_USER_ID, isSystem: true });
+    }
+    throw error;
+  }
+};
+
 // Index for better performance
 userSchema.index({ email: 1 });
 userSchema.index({ googleId: 1 });
@@ -0,0 +1,370 @@
+const router = require('express').Router();
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Community = require('../models/Community');
+const Thread = require('../models/Thread');
+const Reply = require('../models/Reply');
+const Note = require('../models/Note');
+const Media = require('../models/Media');
+const Event = require('../models/Event');
+const Poll = require('../models/Poll');
+const Expense = require('../models/Expense');
+const { isAuthenticated, isRole } = require('../middleware/auth');
+const { revokeAllTokens } = require('../utils/jwt');
+const { deleteFileByUrl } = require('../utils/cloudinary');
+const { deleteCommunity } = require('../utils/communityDeletion');
+const { deleteUserAccount } = require('../utils/accountDeletion');
+const { recordAuditEvent } = require('../utils/auditLog');
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+// Escape user input before using it in a regex search
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Every admin route requires a platform admin.
+// The first admin has to be promoted directly in the database (role: 'admin').
+router.use(isAuthenticated, isRole('admin'));
+
+// Platform-wide statistics
+router.get('/stats', async (req, res) => {
+  try {
+    const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+
+    const [users, newUsers, suspendedUsers, communities, threads, replies, notes, media, events, polls, expenses] = await Promise.all([
+      User.countDocuments(),
+      User.countDocuments({ createdAt: { $gte: weekAgo } }),
+      User.countDocuments({
+        'suspension.isSuspended': true,
+        $or: [{ 'suspension.until': null }, { 'suspension.until': { $gt: new Date() } }]
+      }),
+      Community.countDocuments(),
+      Thread.countDocuments(),
+      Reply.countDocuments(),
+      Note.countDocuments(),
+      Media.countDocuments(),
+      Event.countDocuments(),
+      Poll.countDocuments(),
+      Expense.countDocuments()
+    ]);
+
+    res.json({
+      users: { total: users, newThisWeek: newUsers, suspended: suspendedUsers },
+      communities,
+      content: { threads, replies, notes, media, events, polls, expenses }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// ========== USERS ==========
+
+// List/search users
+router.get('/users', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, search, role, suspended } = req.query;
+    const query = {};
+
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      query.$or = [{ name: pattern }, { email: pattern }];
+    }
+    if (role) query.role = role;
+    if (suspended === 'true') query['suspension.isSuspended'] = true;
+
+    const users = await User.find(query)
+      .select('name email role profilePicture isEmailVerified suspension communities createdAt')
+      .sort('-createdAt')
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await User.countDocuments(query);
+
+    res.json({
+      users,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get a single user
+router.get('/users/:userId', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId)
+      .populate('communities', 'name type code')
+      .populate('suspension.suspendedBy', 'name email');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json(user.getPublicProfile());
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Suspend a user (signs them out everywhere)
+router.put('/users/:userId/suspend', [
+  body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('Reason must be 3-500 characters'),
+  body('until').optional({ values: 'falsy' }).isISO8601().withMessage('Valid date required'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({ message: 'You cannot suspend yourself' });
+    }
+
+    if (user.role === 'admin') {
+      return res.status(400).json({ message: 'Remove admin role before suspending this user' });
+    }
+
+    user.suspension = {
+      isSuspended: true,
+      reason: req.body.reason,
+      until: req.body.until ? new Date(req.body.until) : undefined,
+      suspendedBy: req.user._id,
+      suspendedAt: Date.now()
+    };
+    await user.save();
+
+    await revokeAllTokens(user._id);
+    await recordAuditEvent(req, 'account_suspended', {
+      user,
+      actor: req.user,
+      details: { reason: req.body.reason, until: user.suspension.until }
+    });
+
+    res.json({ message: 'User suspended', suspension: user.suspension });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Lift a suspension
+router.put('/users/:userId/unsuspend', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    user.suspension = { isSuspended: false };
+    await user.save();
+    await recordAuditEvent(req, 'account_unsuspended', { user, actor: req.user });
+
+    res.json({ message: 'Suspension lifted' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Change a user's platform role
+router.put('/users/:userId/role', [
+  body('role').isIn(['student', 'cr', 'teacher', 'admin']).withMessage('Invalid role'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    if (req.params.userId === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot change your own role' });
+    }
+
+    const user = await User.findById(req.params.userId).select('name email role');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const previousRole = user.role;
+    user.role = req.body.role;
+    await user.save();
+
+    // A demoted admin must not keep using sessions issued with admin rights
+    if (previousRole === 'admin' && user.role !== 'admin') {
+      await revokeAllTokens(user._id);
+    }
+    await recordAuditEvent(req, 'role_changed', {
+      user,
+      actor: req.user,
+      details: { from: previousRole, to: user.role }
+    });
+
+    res.json(user);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Delete a user account with the same cleanup as self-deletion
+router.delete('/users/:userId', async (req, res) => {
+  try {
+    if (req.params.userId === req.user._id.toString()) {
+      return res.status(400).json({ message: 'Use account settings to delete your own account' });
+    }
+
+    const result = await deleteUserAccount(req.params.userId);
+
+    if (!result) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (result.blocked) {
+      return res.status(409).json({
+        message: 'User owns communities with other members; transfer ownership first',
+        communities: result.blocked
+      });
+    }
+
+    await recordAuditEvent(req, 'account_deleted', { user: req.params.userId, actor: req.user });
+
+    res.json({ message: 'User deleted', report: result.report });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// ========== COMMUNITIES ==========
+
+// List/search communities
+router.get('/communities', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, search, type } = req.query;
+    const query = {};
+
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      query.$or = [{ name: pattern }, { description: pattern }, { code: search.toUpperCase() }];
+    }
+    if (type) query.type = type;
+
+    const communities = await Community.find(query)
+      .populate('creator', 'name email')
+      .select('name description type code creator members settings createdAt')
+      .sort('-createdAt')
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Community.countDocuments(query);
+
+    res.json({
+      communities: communities.map(community => ({
+        ...community.toObject(),
+        members: undefined,
+        memberCount: community.members.length
+      })),
+      totalPages: Math.ceil(total / limit),
+      currentPage: page
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Force-delete a community and all of its content
+router.delete('/communities/:communityId', async (req, res) => {
+  try {
+    const report = await deleteCommunity(req.params.communityId);
+
+    if (!report) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+
+    res.json({ message: 'Community deleted', report });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// ========== CONTENT ==========
+
+// How to remove each kind of content, including files and back-references
+const CONTENT_TYPES = {
+  threads: {
+    model: Thread,
+    cleanup: async (thread) => {
+      await Reply.deleteMany({ thread: thread._id });
+    }
+  },
+  replies: {
+    model: Reply,
+    cleanup: async (reply) => {
+      await Thread.findByIdAndUpdate(reply.thread, { $pull: { replies: reply._id } });
+    }
+  },
+  notes: {
+    model: Note,
+    cleanup: async (note) => deleteFileByUrl(note.fileUrl)
+  },
+  media: {
+    model: Media,
+    cleanup: async (media) => deleteFileByUrl(media.url)
+  },
+  events: {
+    model: Event,
+    cleanup: async (event) => deleteFileByUrl(event.coverImage)
+  },
+  polls: {
+    model: Poll,
+    cleanup: async (poll) => {
+      if (poll.event) {
+        await Event.findByIdAndUpdate(poll.event, { $pull: { polls: poll._id } });
+      }
+    }
+  },
+  expenses: {
+    model: Expense,
+    cleanup: async (expense) => {
+      if (expense.event) {
+        await Event.findByIdAndUpdate(expense.event, { $pull: { expenses: expense._id } });
+      }
+      await deleteFileByUrl(expense.receipt);
+    }
+  }
+};
+
+// Force-delete a single piece of content
+router.delete('/content/:type/:id', async (req, res) => {
+  try {
+    const contentType = CONTENT_TYPES[req.params.type];
+    if (!contentType) {
+      return res.status(400).json({
+        message: `Unknown content type. Use one of: ${Object.keys(CONTENT_TYPES).join(', ')}`
+      });
+    }
+
+    const doc = await contentType.model.findById(req.params.id);
+    if (!doc) {
+      return res.status(404).json({ message: 'Content not found' });
+    }
+
+    try {
+      await contentType.cleanup(doc);
+    } catch (error) {
+      console.error('Admin content cleanup error:', error);
+    }
+
+    await doc.deleteOne();
+    res.json({ message: 'Content deleted' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,13 +1,39 @@
 const router = require('express').Router();
 const { body, validationResult } = require('express-validator');
-const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/email');
+const { sendVerificationEmail, sendPasswordResetEmail, sendAccountLockedEmail } = require('../utils/email');
 const passport = require('../config/passport');
 const User = require('../models/User');
-const { generateToken } = require('../utils/jwt');
-const { isAuthenticated } = require('../middleware/auth');
-const { profileUpload } = require('../utils/cloudinary'); // Add this import
+const {
+  hashToken,
+  issueAuthTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllTokens,
+  generatePurposeToken,
+  verifyPurposeToken
+} = require('../utils/jwt');
+const {
+  generateSecret,
+  getProvisioningUri,
+  verifyTotp,
+  generateRecoveryCodes,
+  consumeRecoveryCode
+} = require('../utils/twoFactor');
+const { isAuthenticated, requireVerifiedEmail, PAT_PREFIX } = require('../middleware/auth');
+const { throttle, recordFailedAttempt, clearFailedAttempts } = require('../middleware/throttle');
+const { profileUpload, getPrivateDownloadUrl } = require('../utils/cloudinary'); // Add this import
+const { deleteUserAccount } = require('../utils/accountDeletion');
+const { recordAuditEvent } = require('../utils/auditLog');
+const { createSession, revokeSessions } = require('../utils/sessions');
+const { INLINE_EXPORT_LIMIT, countUserItems, buildUserExport, queueDataExport } = require('../utils/dataExport');
+const DataExport = require('../models/DataExport');
+const AuditLog = require('../models/AuditLog');
+const Session = require('../models/Session');
+const AccessToken = require('../models/AccessToken');
+const Community = require('../models/Community');
 const bcrypt = require('bcryptjs'); // Add this import
 const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 
 // Validation middleware
 const handleValidationErrors = (req, res, next) => {
@@ -18,9 +44,57 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Throttle keys: the submitted email, or the user behind a 2FA challenge
+const emailAccount = (req) => req.body.email;
+const challengeAccount = (req) => jwt.decode(req.body.challengeToken || '')?.userId;
+
+// Count a failed password and warn the owner when it locks the account
+const handleFailedLogin = async (req, email, user, reason) => {
+  await recordAuditEvent(req, 'login', { user, outcome: 'failure', details: { reason } });
+  
+  const { lockedOut, lockedUntil } = await recordFailedAttempt(req, 'login', email);
+  if (lockedOut && user) {
+    await recordAuditEvent(req, 'account_locked', { user, details: { until: lockedUntil } });
+    sendAccountLockedEmail(user.email, lockedUntil)
+      .catch(err => console.error('Lockout email error:', err));
+  }
+};
+
+// Register the device, issue tokens, create the cookie session and send the standard login response
+const completeLogin = async (req, res, user, method = 'password') => {
+  const session = await createSession(req, user, method);
+  const { token, refreshToken } = await issueAuthTokens(user, session);
+  await recordAuditEvent(req, 'login', { user, details: { method, sessionId: session._id } });
+  
+  // Create session for consistency with Google OAuth
+  req.login(user, (err) => {
+    if (err) {
+      return res.status(500).json({ message: 'Session creation failed' });
+    }
+    
+    // Ties the cookie to the same session record as the tokens
+    req.session.authSessionId = session._id.toString();
+    
+    res.json({
+      message: 'Login successful',
+      token,
+      refreshToken,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        profilePicture: user.profilePicture,
+        isEmailVerified: user.isEmailVerified
+      }
+    });
+  });
+};
+
 // Register with email/password
 router.post('/register', [
-  body('email').isEmail().normalizeEmail().withMessage('Valid email required'),
+  body('email').isEmail().normalizeEmail().withMessage('Valid email required')
+    .custom(email => !User.isReservedEmail(email)).withMessage('This email address is reserved'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
   body('name').trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
   handleValidationErrors
@@ -38,21 +112,22 @@ router.post('/register', [
     const user = new User({
       email,
       password,
-      name,
-      emailVerificationToken: crypto.randomBytes(32).toString('hex')
+      name
     });
+    const verificationToken = user.createEmailVerificationToken();
     
     await user.save();
     
-    // Generate JWT token
-    const token = generateToken(user._id);
-    console.log("Hello");
-    // TODO: Send verification email
-    sendVerificationEmail(user.email, user.emailVerificationToken);
+    // Generate JWT tokens
+    const session = await createSession(req, user, 'password');
+    const { token, refreshToken } = await issueAuthTokens(user, session);
+    sendVerificationEmail(user.email, verificationToken)
+      .catch(err => console.error('Verification email error:', err));
     
     res.status(201).json({
       message: 'Registration successful',
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
@@ -70,7 +145,8 @@ router.post('/register', [
 router.post('/login', [
   body('email').isEmail().normalizeEmail().withMessage('Valid email required'),
   body('password').notEmpty().withMessage('Password required'),
-  handleValidationErrors
+  handleValidationErrors,
+  throttle('login', emailAccount)
 ], async (req, res) => {
   try {
     const { email, password } = req.body;
@@ -78,79 +154,136 @@ router.post('/login', [
     // Find user by email
     const user = await User.findOne({ email }).select('+password');
     if (!user) {
+      await handleFailedLogin(req, email, null, 'unknown_email');
       return res.status(401).json({ message: 'Invalid email or password' });
     }
     
     // Check if user registered with Google
     if (user.googleId && !user.password) {
       return res.status(400).json({ 
-        message: 'This email is registered with Google. Please use Google Sign-In.' 
+        message: 'This email is registered with Google. Please use Google Sign-In or set a password from your profile.' 
       });
     }
     
     // Verify password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      await handleFailedLogin(req, email, user, 'invalid_password');
       return res.status(401).json({ message: 'Invalid email or password' });
     }
     
-    // Generate JWT token
-    const token = generateToken(user._id);
-    console.log(token)
+    await clearFailedAttempts('login', email);
     
-    // Create session for consistency with Google OAuth
-    req.login(user, (err) => {
-      if (err) {
-        return res.status(500).json({ message: 'Session creation failed' });
-      }
-      
-      res.json({
-        message: 'Login successful',
-        token,
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          profilePicture: user.profilePicture,
-          isEmailVerified: user.isEmailVerified
-        }
+    if (user.isSuspended()) {
+      await recordAuditEvent(req, 'login', { user, outcome: 'failure', details: { reason: 'suspended' } });
+      return res.status(403).json({ 
+        message: 'Your account has been suspended',
+        reason: user.suspension.reason,
+        until: user.suspension.until
       });
-    });
+    }
+    
+    // Password is correct but a second factor is still required
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        requiresTwoFactor: true,
+        challengeToken: generatePurposeToken(user._id, '2fa-login')
+      });
+    }
+    
+    await completeLogin(req, res, user);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
 // Verify email
-router.get('/verify-email/:token', async (req, res) => {
+router.get('/verify-email/:token', throttle('verify-email'), async (req, res) => {
   try {
+    const hashedToken = crypto
+      .createHash('sha256')
+      .update(req.params.token)
+      .digest('hex');
+    
+    // Links sent before tokens were hashed store the raw token and no send time
+    // (scripts/migrate-email-verification.js converts them)
     const user = await User.findOne({ 
-      emailVerificationToken: req.params.token 
+      emailVerificationToken: hashedToken,
+      emailVerificationExpires: { $gt: Date.now() }
+    }) || await User.findOne({
+      emailVerificationToken: req.params.token,
+      emailVerificationSentAt: { $exists: false }
     });
     
     if (!user) {
+      await recordFailedAttempt(req, 'verify-email');
       return res.status(400).json({ message: 'Invalid or expired token' });
     }
     
     user.isEmailVerified = true;
     user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    user.emailVerificationSentAt = undefined;
     await user.save();
     
+    await recordAuditEvent(req, 'email_verified', { user });
+    
     res.json({ message: 'Email verified successfully' });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
+// Resend the verification email (limited to one per cooldown period)
+const VERIFICATION_RESEND_COOLDOWN = 60 * 1000; // 1 minute
+
+router.post('/resend-verification', isAuthenticated, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (user.isEmailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+    
+    const sentAt = user.emailVerificationSentAt?.getTime() || 0;
+    const waitMs = sentAt + VERIFICATION_RESEND_COOLDOWN - Date.now();
+    if (waitMs > 0) {
+      const retryAfter = Math.ceil(waitMs / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ 
+        message: `Please wait ${retryAfter} seconds before requesting another email`,
+        retryAfter
+      });
+    }
+    
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+    
+    await sendVerificationEmail(user.email, verificationToken);
+    
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // Request password reset
 router.post('/forgot-password', [
   body('email').isEmail().normalizeEmail().withMessage('Valid email required'),
-  handleValidationErrors
+  handleValidationErrors,
+  throttle('forgot-password', emailAccount)
 ], async (req, res) => {
   try {
     const { email } = req.body;
     
+    // Every request counts here, successful or not
+    await recordFailedAttempt(req, 'forgot-password', email);
+    
     const user = await User.findOne({ email });
     if (!user) {
       // Don't reveal if email exists
@@ -167,6 +300,8 @@ router.post('/forgot-password', [
     
     await user.save();
     
+    await recordAuditEvent(req, 'password_reset_request', { user });
+    
     // TODO: Send reset email
     sendPasswordResetEmail(user.email, resetToken);
     
@@ -179,7 +314,8 @@ router.post('/forgot-password', [
 // Reset password
 router.post('/reset-password/:token', [
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-  handleValidationErrors
+  handleValidationErrors,
+  throttle('reset-password')
 ], async (req, res) => {
   try {
     const hashedToken = crypto
@@ -193,6 +329,7 @@ router.post('/reset-password/:token', [
     });
     
     if (!user) {
+      await recordFailedAttempt(req, 'reset-password');
       return res.status(400).json({ message: 'Invalid or expired token' });
     }
     
@@ -202,6 +339,11 @@ router.post('/reset-password/:token', [
     user.passwordResetExpires = undefined;
     await user.save();
     
+    // Sign out every device that used the old password
+    await revokeAllTokens(user._id);
+    
+    await recordAuditEvent(req, 'password_reset', { user });
+    
     res.json({ message: 'Password reset successful' });
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -213,16 +355,79 @@ router.get('/google',
   passport.authenticate('google', { scope: ['profile', 'email'] })
 );
 
+// Start linking Google to the signed-in account (state carries a short-lived link token).
+// The token only works in the browser that requested it, see POST /link/google.
+router.get('/google/link', (req, res, next) => {
+  if (!req.query.linkToken) {
+    return res.status(400).json({ message: 'Link token required' });
+  }
+  
+  let decoded;
+  try {
+    decoded = verifyPurposeToken(req.query.linkToken, 'google-link');
+  } catch (error) {
+    return res.status(400).json({ message: 'Invalid or expired link token' });
+  }
+  if (!decoded.nonce || decoded.nonce !== req.session.googleLinkNonce) {
+    return res.status(400).json({ message: 'Invalid or expired link token' });
+  }
+  
+  passport.authenticate('google', {
+    scope: ['profile', 'email'],
+    state: req.query.linkToken
+  })(req, res, next);
+});
+
 // Updated Google callback with token generation
 router.get('/google/callback',
-  passport.authenticate('google', { session: false, failureRedirect: `${process.env.CLIENT_URL}/login?error=google_auth_failed` }),
-  (req, res) => {
+  (req, res, next) => {
+    passport.authenticate('google', { session: false }, (err, user, info) => {
+      if (err) {
+        return next(err);
+      }
+      if (!user) {
+        const reason = info?.message || 'google_auth_failed';
+        const page = req.query.state ? 'profile' : 'login';
+        return res.redirect(`${process.env.CLIENT_URL}/${page}?error=${reason}`);
+      }
+      req.user = user;
+      req.authInfo = info;
+      next();
+    })(req, res, next);
+  },
+  async (req, res) => {
+    // Explicit link from the profile page - the user is already signed in
+    if (req.authInfo?.linked) {
+      await recordAuditEvent(req, 'google_linked', { user: req.user });
+      return res.redirect(`${process.env.CLIENT_URL}/profile?linked=google`);
+    }
+    
+    if (req.user.isSuspended()) {
+      await recordAuditEvent(req, 'login', {
+        user: req.user,
+        outcome: 'failure',
+        details: { method: 'google', reason: 'suspended' }
+      });
+      return res.redirect(`${process.env.CLIENT_URL}/login?error=account_suspended`);
+    }
+    
+    // Google replaces the password, not the second factor
+    if (req.user.twoFactor?.enabled) {
+      const challengeToken = generatePurposeToken(req.user._id, '2fa-login', '5m', { method: 'google' });
+      return res.redirect(`${process.env.CLIENT_URL}/login?twoFactor=required&challengeToken=${challengeToken}`);
+    }
+    
     try {
-      // Generate JWT token for the Google-authenticated user
-      const token = generateToken(req.user._id);
+      // Generate JWT tokens for the Google-authenticated user
+      const session = await createSession(req, req.user, 'google');
+      const { token, refreshToken } = await issueAuthTokens(req.user, session);
+      await recordAuditEvent(req, 'login', {
+        user: req.user,
+        details: { method: 'google', sessionId: session._id }
+      });
 
-      // Redirect to frontend with token
-      res.redirect(`${process.env.CLIENT_URL}/auth/callback?token=${token}`);
+      // Redirect to frontend with tokens
+      res.redirect(`${process.env.CLIENT_URL}/auth/callback?token=${token}&refreshToken=${refreshToken}`);
     } catch (error) {
       console.error('Google callback error:', error);
       res.redirect(`${process.env.CLIENT_URL}/login?error=token_generation_failed`);
@@ -231,32 +436,37 @@ router.get('/google/callback',
 );
 
 
-// Get current user (works with both session and JWT)
-router.get('/current', async (req, res) => {
-  try {
-    let user;
-    
-    // Check session first (Google OAuth)
-    if (req.user) {
-      user = await User.findById(req.user._id)
-        .populate('communities', 'name type code')
-        .select('-password -__v');
-    } 
-    // Check JWT token
-    else if (req.headers.authorization) {
-      const token = req.headers.authorization.split(' ')[1];
-      const { verifyToken } = require('../utils/jwt');
-      
-      try {
-        const decoded = verifyToken(token);
-        user = await User.findById(decoded.userId)
-          .populate('communities', 'name type code')
-          .select('-password -__v');
-      } catch (error) {
-        return res.status(401).json({ message: 'Invalid token' });
-      }
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', [
+  body('refreshToken').notEmpty().withMessage('Refresh token required'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const result = await rotateRefreshToken(req.body.refreshToken);
+    if (!result) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
     }
     
+    if (result.user.isSuspended()) {
+      return res.status(403).json({ message: 'Your account has been suspended' });
+    }
+    
+    res.json({
+      token: result.token,
+      refreshToken: result.refreshToken
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get current user (works with both session and JWT)
+router.get('/current', isAuthenticated, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .populate('communities', 'name type code')
+      .select('-password -tokenVersion -__v');
+    
     if (!user) {
       return res.status(401).json({ message: 'Not authenticated' });
     }
@@ -268,8 +478,33 @@ router.get('/current', async (req, res) => {
 });
 
 // Logout (works for both session and JWT)
-router.post('/logout', (req, res) => {
+router.post('/logout', async (req, res) => {
+  // Revoke the refresh token so it cannot be used to mint new access tokens
+  let tokenUser = null;
+  if (req.body && req.body.refreshToken) {
+    try {
+      tokenUser = await revokeRefreshToken(req.body.refreshToken);
+    } catch (error) {
+      return res.status(500).json({ message: error.message });
+    }
+  }
+
+  // JWT clients are not signed in on this route; the refresh token identifies them
+  const loggedOutUser = req.user || tokenUser;
+  if (loggedOutUser) {
+    await recordAuditEvent(req, 'logout', { user: loggedOutUser });
+  }
+  
   if (req.user) {
+    // Cookie-only clients have no refresh token; sign out the session record directly
+    if (req.session.authSessionId) {
+      try {
+        await revokeSessions({ _id: req.session.authSessionId, user: req.user._id });
+      } catch (error) {
+        return res.status(500).json({ message: error.message });
+      }
+    }
+    
     req.logout((err) => {
       if (err) {
         return res.status(500).json({ message: 'Logout failed' });
@@ -278,11 +513,292 @@ router.post('/logout', (req, res) => {
       res.json({ message: 'Logged out successfully' });
     });
   } else {
-    // For JWT, client should remove token
+    // For JWT, the short-lived access token expires on its own
     res.json({ message: 'Logged out successfully' });
   }
 });
 
+// Logout from every device (revokes all access and refresh tokens)
+router.post('/logout-all', isAuthenticated, async (req, res) => {
+  try {
+    await revokeAllTokens(req.user._id);
+    await recordAuditEvent(req, 'logout_all', { user: req.user });
+    
+    if (req.session) {
+      req.logout((err) => {
+        if (err) console.error('Logout error during logout-all:', err);
+        req.session.destroy();
+        res.json({ message: 'Logged out from all devices' });
+      });
+    } else {
+      res.json({ message: 'Logged out from all devices' });
+    }
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// ========== SESSION ROUTES ==========
+
+// Devices I'm currently signed in on
+router.get('/sessions', isAuthenticated, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: Date.now() }
+    })
+      .select('-user -userAgent -__v')
+      .sort('-lastSeenAt');
+    
+    const currentId = req.authSession?._id.toString();
+    
+    res.json(sessions.map(session => ({
+      ...session.toObject(),
+      isCurrent: session._id.toString() === currentId
+    })));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Sign out all other devices (keeps the current one)
+router.delete('/sessions', isAuthenticated, async (req, res) => {
+  try {
+    const query = { user: req.user._id };
+    if (req.authSession) {
+      query._id = { $ne: req.authSession._id };
+    }
+    
+    const count = await revokeSessions(query);
+    await recordAuditEvent(req, 'session_revoked', { user: req.user, details: { scope: 'others', count } });
+    
+    res.json({ message: 'Signed out from all other devices', count });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Sign out one device
+router.delete('/sessions/:sessionId', isAuthenticated, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      user: req.user._id,
+      revokedAt: null
+    });
+    
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    
+    await revokeSessions({ _id: session._id });
+    await recordAuditEvent(req, 'session_revoked', {
+      user: req.user,
+      details: { sessionId: session._id, device: session.device }
+    });
+    
+    res.json({ message: `Signed out ${session.device}` });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// ========== TWO-FACTOR AUTH ROUTES ==========
+
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// Second login step: exchange the challenge token plus a TOTP or recovery code for real tokens
+router.post('/2fa/verify-login', [
+  body('challengeToken').notEmpty().withMessage('Challenge token required'),
+  body('code').optional().trim(),
+  body('recoveryCode').optional().trim(),
+  handleValidationErrors,
+  throttle('2fa', challengeAccount)
+], async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    
+    let decoded;
+    try {
+      decoded = verifyPurposeToken(challengeToken, '2fa-login');
+    } catch (error) {
+      return res.status(401).json({ message: 'Invalid or expired challenge' });
+    }
+    
+    const user = await User.findById(decoded.userId).select(TWO_FACTOR_FIELDS);
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(401).json({ message: 'Invalid or expired challenge' });
+    }
+    
+    if (code) {
+      const step = verifyTotp(code, user.twoFactor.secret, user.twoFactor.lastUsedStep);
+      if (step === null) {
+        await recordAuditEvent(req, 'login', { user, outcome: 'failure', details: { reason: 'invalid_2fa_code' } });
+        await recordFailedAttempt(req, '2fa', user._id);
+        return res.status(401).json({ message: 'Invalid authentication code' });
+      }
+      user.twoFactor.lastUsedStep = step;
+    } else if (recoveryCode) {
+      if (!consumeRecoveryCode(user, recoveryCode)) {
+        await recordAuditEvent(req, 'login', { user, outcome: 'failure', details: { reason: 'invalid_recovery_code' } });
+        await recordFailedAttempt(req, '2fa', user._id);
+        return res.status(401).json({ message: 'Invalid recovery code' });
+      }
+    } else {
+      return res.status(400).json({ message: 'Authentication code or recovery code required' });
+    }
+    
+    await clearFailedAttempts('2fa', user._id);
+    await user.save();
+    const firstFactor = decoded.method === 'google' ? 'google' : 'password';
+    await completeLogin(req, res, user, `${firstFactor}+${code ? 'totp' : 'recovery_code'}`);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Start enrollment: generate a secret and provisioning URI
+router.post('/2fa/setup', isAuthenticated, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+password ' + TWO_FACTOR_FIELDS);
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (!user.password) {
+      return res.status(400).json({ 
+        message: 'Two-factor authentication is only available for email/password accounts' 
+      });
+    }
+    
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+    
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+    
+    res.json({
+      secret,
+      otpauthUrl: getProvisioningUri(user.email, secret)
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Finish enrollment by proving the authenticator app works
+router.post('/2fa/enable', isAuthenticated, [
+  body('code').trim().notEmpty().withMessage('Authentication code required'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+    
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+    
+    const step = verifyTotp(req.body.code, user.twoFactor.pendingSecret);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+    
+    const { codes, hashes } = generateRecoveryCodes();
+    
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = Date.now();
+    await user.save();
+    
+    await recordAuditEvent(req, 'two_factor_enabled', { user });
+    
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Replace all recovery codes (requires a current TOTP code)
+router.post('/2fa/recovery-codes', isAuthenticated, [
+  body('code').trim().notEmpty().withMessage('Authentication code required'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    
+    const step = verifyTotp(req.body.code, user.twoFactor.secret, user.twoFactor.lastUsedStep);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+    
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    await user.save();
+    
+    await recordAuditEvent(req, 'two_factor_recovery_codes', { user });
+    
+    res.json({ recoveryCodes: codes });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Disable 2FA (requires the account password)
+router.post('/2fa/disable', isAuthenticated, [
+  body('password').notEmpty().withMessage('Password is required'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+password ' + TWO_FACTOR_FIELDS);
+    
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    
+    const isValidPassword = await user.comparePassword(req.body.password);
+    if (!isValidPassword) {
+      await recordAuditEvent(req, 'two_factor_disabled', { user, outcome: 'failure', details: { reason: 'invalid_password' } });
+      return res.status(400).json({ message: 'Invalid password' });
+    }
+    
+    user.twoFactor = { enabled: false };
+    await user.save();
+    
+    await recordAuditEvent(req, 'two_factor_disabled', { user });
+    
+    res.json({ 
+      success: true,
+      message: 'Two-factor authentication disabled' 
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // ========== PROFILE UPDATE ROUTES ==========
 
 // Update profile information
@@ -329,7 +845,7 @@ router.put('/profile', isAuthenticated, [
         updatedAt: Date.now()
       },
       { new: true, runValidators: true }
-    ).select('-password -__v');
+    ).select('-password -tokenVersion -__v');
 
     if (!updatedUser) {
       return res.status(404).json({ message: 'User not found' });
@@ -347,7 +863,7 @@ router.put('/profile', isAuthenticated, [
 });
 
 // Update profile picture
-router.put('/profile-picture', isAuthenticated, (req, res, next) => {
+router.put('/profile-picture', isAuthenticated, requireVerifiedEmail, (req, res, next) => {
   profileUpload.single('profilePicture')(req, res, (err) => {
     if (err) {
       if (err.code === 'LIMIT_FILE_SIZE') {
@@ -373,12 +889,14 @@ router.put('/profile-picture', isAuthenticated, (req, res, next) => {
         updatedAt: Date.now()
       },
       { new: true }
-    ).select('-password -__v');
+    ).select('-password -tokenVersion -__v');
 
     if (!updatedUser) {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    await recordAuditEvent(req, 'profile_picture_change', { user: updatedUser });
+
     res.json({ 
       success: true,
       message: 'Profile picture updated successfully',
@@ -416,13 +934,14 @@ router.put('/change-password', isAuthenticated, [
     // Check if user has a password (might be Google-only user)
     if (!user.password) {
       return res.status(400).json({ 
-        message: 'Cannot change password for Google-authenticated accounts' 
+        message: 'No password set for this account. Use set password instead.' 
       });
     }
     
     // Verify current password
     const isValidPassword = await user.comparePassword(currentPassword);
     if (!isValidPassword) {
+      await recordAuditEvent(req, 'password_change', { user, outcome: 'failure', details: { reason: 'invalid_password' } });
       return res.status(400).json({ message: 'Current password is incorrect' });
     }
 
@@ -437,9 +956,22 @@ router.put('/change-password', isAuthenticated, [
     user.updatedAt = Date.now();
     await user.save();
 
+    // Sign out every device and hand the caller a fresh session and token pair
+    await revokeAllTokens(user._id);
+    user.tokenVersion = (user.tokenVersion || 0) + 1;
+    const session = await createSession(req, user, 'password');
+    const { token, refreshToken } = await issueAuthTokens(user, session);
+    if (req.session && req.session.authSessionId) {
+      req.session.authSessionId = session._id.toString();
+    }
+
+    await recordAuditEvent(req, 'password_change', { user });
+
     res.json({ 
       success: true,
-      message: 'Password changed successfully' 
+      message: 'Password changed successfully',
+      token,
+      refreshToken
     });
   } catch (error) {
     console.error('Password change error:', error);
@@ -447,6 +979,345 @@ router.put('/change-password', isAuthenticated, [
   }
 });
 
+// ========== LINKED LOGIN METHODS ==========
+
+// Which login methods the account can use
+router.get('/login-methods', isAuthenticated, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    res.json({
+      password: !!user.password,
+      google: !!user.googleId
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get a link token; the client then navigates to /google/link?linkToken=...
+// The token carries a nonce that is also kept in this browser's session, so a token
+// handed to someone else can't link their Google account to this user.
+router.post('/link/google', isAuthenticated, async (req, res) => {
+  try {
+    if (req.user.googleId) {
+      return res.status(400).json({ message: 'A Google account is already linked' });
+    }
+    
+    const nonce = crypto.randomBytes(16).toString('hex');
+    req.session.googleLinkNonce = nonce;
+    const linkToken = generatePurposeToken(req.user._id, 'google-link', '10m', { nonce });
+    
+    res.json({
+      linkToken,
+      url: `${process.env.SERVER_URL}/api/auth/google/link?linkToken=${linkToken}`
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Unlink Google (only if a password remains as a login method)
+router.delete('/link/google', isAuthenticated, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (!user.googleId) {
+      return res.status(400).json({ message: 'No Google account is linked' });
+    }
+    
+    if (!user.password) {
+      return res.status(400).json({ 
+        message: 'Set a password before unlinking Google, otherwise you will not be able to sign in' 
+      });
+    }
+    
+    user.googleId = undefined;
+    await user.save();
+    
+    await recordAuditEvent(req, 'google_unlinked', { user });
+    
+    res.json({ 
+      success: true,
+      message: 'Google account unlinked' 
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Set a password on a Google-only account
+router.post('/set-password', isAuthenticated, [
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('New password must be at least 6 characters'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (user.password) {
+      return res.status(400).json({ message: 'Password already set. Use change password instead.' });
+    }
+    
+    user.password = req.body.newPassword;
+    await user.save();
+    
+    await recordAuditEvent(req, 'password_set', { user });
+    
+    res.json({ 
+      success: true,
+      message: 'Password set successfully' 
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// ========== PERSONAL ACCESS TOKEN ROUTES ==========
+
+const MAX_ACCESS_TOKENS = 20;
+
+// List my personal access tokens
+router.get('/tokens', isAuthenticated, async (req, res) => {
+  try {
+    const tokens = await AccessToken.find({ user: req.user._id, revokedAt: null })
+      .populate('community', 'name')
+      .select('-__v')
+      .sort('-createdAt');
+    
+    res.json(tokens);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Create a personal access token (the token itself is only shown once)
+router.post('/tokens', isAuthenticated, [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be 1-50 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  body('scopes.*')
+    .isIn(AccessToken.SCOPES)
+    .withMessage('Invalid scope'),
+  body('communityId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid community ID required'),
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Expiry must be 1-365 days'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { name, scopes, communityId, expiresInDays } = req.body;
+    
+    const activeCount = await AccessToken.countDocuments({ user: req.user._id, revokedAt: null });
+    if (activeCount >= MAX_ACCESS_TOKENS) {
+      return res.status(400).json({ message: `You can have at most ${MAX_ACCESS_TOKENS} tokens` });
+    }
+    
+    if (communityId) {
+      const community = await Community.findById(communityId);
+      if (!community || !community.members.includes(req.user._id)) {
+        return res.status(403).json({ message: 'Not a member of this community' });
+      }
+    }
+    
+    const token = PAT_PREFIX + crypto.randomBytes(20).toString('hex');
+    
+    const accessToken = await AccessToken.create({
+      user: req.user._id,
+      name,
+      tokenHash: hashToken(token),
+      tokenPrefix: token.substring(0, PAT_PREFIX.length + 4),
+      scopes: [...new Set(scopes)],
+      community: communityId,
+      expiresAt: expiresInDays ? Date.now() + expiresInDays * 24 * 60 * 60 * 1000 : undefined
+    });
+    
+    await recordAuditEvent(req, 'access_token_created', {
+      user: req.user,
+      details: { tokenId: accessToken._id, name, scopes: accessToken.scopes }
+    });
+    
+    res.status(201).json({
+      message: "Token created. Copy it now - it won't be shown again.",
+      token,
+      accessToken: {
+        _id: accessToken._id,
+        name: accessToken.name,
+        tokenPrefix: accessToken.tokenPrefix,
+        scopes: accessToken.scopes,
+        community: accessToken.community,
+        expiresAt: accessToken.expiresAt,
+        createdAt: accessToken.createdAt
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Revoke a personal access token
+router.delete('/tokens/:tokenId', isAuthenticated, async (req, res) => {
+  try {
+    const accessToken = await AccessToken.findOne({
+      _id: req.params.tokenId,
+      user: req.user._id,
+      revokedAt: null
+    });
+    
+    if (!accessToken) {
+      return res.status(404).json({ message: 'Token not found' });
+    }
+    
+    accessToken.revokedAt = Date.now();
+    await accessToken.save();
+    
+    await recordAuditEvent(req, 'access_token_revoked', {
+      user: req.user,
+      details: { tokenId: accessToken._id, name: accessToken.name }
+    });
+    
+    res.json({ message: 'Token revoked' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// ========== DATA EXPORT ROUTES ==========
+
+// Download my data. Small accounts get the archive right away,
+// larger ones are exported in the background and emailed when ready.
+router.post('/export', isAuthenticated, async (req, res) => {
+  try {
+    const itemCount = await countUserItems(req.user._id);
+    await recordAuditEvent(req, 'data_export', { user: req.user, details: { itemCount } });
+    
+    if (itemCount <= INLINE_EXPORT_LIMIT) {
+      const archive = await buildUserExport(req.user._id);
+      res.attachment('batchhub-data.json');
+      return res.send(JSON.stringify(archive, null, 2));
+    }
+    
+    // Don't start a second job while one is still running
+    const running = await DataExport.findOne({
+      user: req.user._id,
+      status: { $in: ['pending', 'processing'] },
+      createdAt: { $gt: Date.now() - 60 * 60 * 1000 }
+    });
+    if (running) {
+      return res.status(409).json({ 
+        message: 'An export is already in progress',
+        exportId: running._id,
+        status: running.status
+      });
+    }
+    
+    const job = await DataExport.create({ user: req.user._id });
+    queueDataExport(job._id);
+    
+    res.status(202).json({
+      message: "Your export is being prepared. We'll email you when it's ready.",
+      exportId: job._id,
+      status: job.status
+    });
+  } catch (error) {
+    console.error('Data export error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// List my export jobs
+router.get('/exports', isAuthenticated, async (req, res) => {
+  try {
+    const exports = await DataExport.find({ user: req.user._id, expiresAt: { $gt: new Date() } })
+      .select('-publicId -__v')
+      .sort('-createdAt');
+    
+    res.json(exports);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get a short-lived download link for a finished export
+const EXPORT_LINK_TTL = 15 * 60 * 1000; // 15 minutes
+
+router.get('/exports/:exportId/download', isAuthenticated, async (req, res) => {
+  try {
+    const job = await DataExport.findOne({ _id: req.params.exportId, user: req.user._id });
+    
+    // Expired archives linger until the cleanup job removes them
+    if (!job || job.expiresAt <= new Date()) {
+      return res.status(404).json({ message: 'Export not found' });
+    }
+    
+    if (job.status !== 'ready') {
+      return res.status(400).json({ message: 'Export is not ready yet', status: job.status });
+    }
+    
+    const linkExpiresAt = new Date(Math.min(Date.now() + EXPORT_LINK_TTL, job.expiresAt.getTime()));
+    
+    res.json({
+      url: getPrivateDownloadUrl(job.publicId, linkExpiresAt),
+      linkExpiresAt,
+      expiresAt: job.expiresAt
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// ========== SECURITY LOG ==========
+
+// My recent account activity (logins, password changes, 2FA, ...)
+router.get('/security-log', isAuthenticated, async (req, res) => {
+  try {
+    const { page = 1, event, outcome } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
+    const query = { user: req.user._id };
+    
+    if (event) query.event = event;
+    if (outcome) query.outcome = outcome;
+    
+    const entries = await AuditLog.find(query)
+      .populate('actor', 'name')
+      .select('-user -expiresAt -__v')
+      .sort('-createdAt')
+      .limit(limit)
+      .skip((page - 1) * limit);
+    
+    const total = await AuditLog.countDocuments(query);
+    
+    res.json({
+      entries,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // Delete account (optional - for complete profile management)
 router.delete('/delete-account', isAuthenticated, [
   body('password')
@@ -479,14 +1350,23 @@ router.delete('/delete-account', isAuthenticated, [
     if (user.password) {
       const isValidPassword = await user.comparePassword(password);
       if (!isValidPassword) {
+        await recordAuditEvent(req, 'account_deleted', { user, outcome: 'failure', details: { reason: 'invalid_password' } });
         return res.status(400).json({ message: 'Invalid password' });
       }
     }
 
-    // TODO: Clean up user's data in other collections (notes, threads, etc.)
+    // Remove or anonymise everything that references the user, then the user
+    const result = await deleteUserAccount(user._id);
     
-    // Delete the user
-    await User.findByIdAndDelete(userId);
+    if (result.blocked) {
+      return res.status(409).json({
+        message: 'Transfer ownership of these communities (or make someone a moderator) before deleting your account',
+        communities: result.blocked
+      });
+    }
+
+    // Kept after the account is gone until the retention period ends
+    await recordAuditEvent(req, 'account_deleted', { user: user._id });
 
     // Logout if session exists
     if (req.user && req.session) {
@@ -498,7 +1378,8 @@ router.delete('/delete-account', isAuthenticated, [
 
     res.json({ 
       success: true,
-      message: 'Account deleted successfully' 
+      message: 'Account deleted successfully',
+      report: result.report
     });
   } catch (error) {
     console.error('Account deletion error:', error);
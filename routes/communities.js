@@ -1,8 +1,24 @@
 const router = require('express').Router();
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const validator = require('validator');
 const Community = require('../models/Community');
 const User = require('../models/User');
-const { isAuthenticated, isCommunityMember } = require('../middleware/auth');
+const RoleRequest = require('../models/RoleRequest');
+const JoinRequest = require('../models/JoinRequest');
+const Invite = require('../models/Invite');
+const Channel = require('../models/Channel');
+const Thread = require('../models/Thread');
+const Note = require('../models/Note');
+const Event = require('../models/Event');
+const Poll = require('../models/Poll');
+const { sendJoinRequestDecisionEmail, sendCommunityInviteEmail } = require('../utils/email');
+const { generateUniqueCode, retryOnCodeCollision } = require('../utils/codes');
+const { parseCsv, toCsv } = require('../utils/csv');
+const { coverUpload, discardUploadsOnRejection, deleteFileByUrl } = require('../utils/cloudinary');
+const { deleteCommunity } = require('../utils/communityDeletion');
+const { isAuthenticated, requireScope, requireVerifiedEmail, isCommunityMember, canViewCommunity, rejectArchived } = require('../middleware/auth');
 
 // Validation middleware
 const handleValidationErrors = (req, res, next) => {
@@ -21,9 +37,40 @@ const handleValidationErrors = (req, res, next) => {
 
 
 
+// Add a user to the community's members and the community to the user
+const addToCommunity = async (community, userId) => {
+  community.addMember(userId);
+  await community.save();
+  
+  await User.findByIdAndUpdate(userId, {
+    $addToSet: { communities: community._id }
+  });
+};
+
+// Take a user out of the community (leave, removal or ban) and clean up their requests
+const removeFromCommunity = async (community, userId) => {
+  community.removeMember(userId);
+  await community.save();
+  
+  await RoleRequest.updateMany(
+    { user: userId, community: community._id, status: 'pending' },
+    { status: 'cancelled' }
+  );
+  
+  await Channel.updateMany(
+    { community: community._id, allowedMembers: userId },
+    { $pull: { allowedMembers: userId } }
+  );
+  
+  await User.findByIdAndUpdate(userId, {
+    $pull: { communities: community._id }
+  });
+};
+
 // Create community
 router.post('/create', [
   isAuthenticated,
+  requireVerifiedEmail,
   body('name')
     .trim()
     .notEmpty().withMessage('Name is required')
@@ -35,6 +82,7 @@ router.post('/create', [
   body('type')
     .notEmpty().withMessage('Type is required')
     .isIn(['academic', 'chillout']).withMessage('Invalid community type'),
+  body('parentId').optional().isMongoId().withMessage('Valid parent community ID required'),
   handleValidationErrors
 ], async (req, res) => {
   console.log('Creating community - Passed validation');
@@ -42,7 +90,7 @@ router.post('/create', [
   console.log('Request body:', req.body);
   
   try {
-    const { name, description, type } = req.body;
+    const { name, description, type, parentId } = req.body;
     
     const community = new Community({
       name,
@@ -50,11 +98,34 @@ router.post('/create', [
       type,
       creator: req.user._id,
       moderators: [req.user._id],
-      members: [req.user._id]
+      members: [req.user._id],
+      memberJoins: [{ user: req.user._id }]
     });
     
+    // Sub-communities can only be added by moderators of the parent
+    if (parentId) {
+      const parent = await Community.findById(parentId);
+      if (!parent) {
+        return res.status(404).json({ message: 'Parent community not found' });
+      }
+      await parent.loadInheritedModerators();
+      if (!parent.isModerator(req.user._id)) {
+        return res.status(403).json({ message: 'Only moderators of the parent community can add sub-communities' });
+      }
+      if (parent.isArchived()) {
+        return res.status(403).json({ message: 'The parent community is archived' });
+      }
+      if (parent.ancestors.length + 1 >= Community.MAX_DEPTH) {
+        return res.status(400).json({ message: `Communities can only be nested ${Community.MAX_DEPTH} levels deep` });
+      }
+      
+      community.parent = parent._id;
+      community.ancestors = [...parent.ancestors, parent._id];
+      community.institution = parent.institution;
+    }
+    
     console.log('Saving community:', community);
-    await community.save();
+    await community.saveWithUniqueCode();
     console.log('Community saved successfully');
     
     // Add community to user's communities
@@ -70,42 +141,207 @@ router.post('/create', [
   }
 });
 
-// Join community
+// Join community. Private communities queue a join request unless an auto-approve rule matches.
 router.post('/join', [
   isAuthenticated,
+  requireVerifiedEmail,
   body('code').trim().isLength({ min: 6, max: 6 }).withMessage('Invalid community code'),
+  body('message').optional().trim().isLength({ max: 500 }).withMessage('Message must be less than 500 characters'),
   handleValidationErrors
 ], async (req, res) => {
   try {
-    const { code } = req.body;
+    const { code, message } = req.body;
     
     const community = await Community.findOne({ code: code.toUpperCase() });
     if (!community) {
       return res.status(404).json({ message: 'Community not found' });
     }
     
+    if (community.isArchived()) {
+      return res.status(403).json({ message: 'This community is archived and not accepting new members' });
+    }
+    
     // Check if user is already a member
     if (community.members.includes(req.user._id)) {
       return res.status(400).json({ message: 'Already a member' });
     }
     
-    // Add user to community
-    community.members.push(req.user._id);
-    await community.save();
+    const ban = community.getActiveBan(req.user._id);
+    if (ban) {
+      return res.status(403).json({ 
+        message: 'You are banned from this community',
+        reason: ban.reason,
+        until: ban.expiresAt
+      });
+    }
     
-    // Add community to user's communities
-    await User.findByIdAndUpdate(req.user._id, {
-      $push: { communities: community._id }
+    if (!community.allowsInstitutionMember(req.user)) {
+      return res.status(403).json({ message: 'Only verified members of this institution can join. Verify your institution email first.' });
+    }
+    
+    if (community.settings.isPrivate && !community.isAutoApproved(req.user)) {
+      const pending = await JoinRequest.findOne({
+        user: req.user._id,
+        community: community._id,
+        status: 'pending'
+      });
+      if (pending) {
+        return res.status(400).json({ message: 'Your join request is already pending' });
+      }
+      
+      const request = await JoinRequest.create({
+        user: req.user._id,
+        community: community._id,
+        message
+      });
+      
+      return res.status(202).json({ 
+        message: 'This community is private. Your join request has been sent to the moderators.',
+        request
+      });
+    }
+    
+    await addToCommunity(community, req.user._id);
+    
+    res.json({ message: 'Joined successfully', community: { ...community.toObject(), bans: undefined } });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// My join requests (across communities)
+router.get('/join-requests/mine', isAuthenticated, async (req, res) => {
+  try {
+    const requests = await JoinRequest.find({ user: req.user._id })
+      .populate('community', 'name type coverImage')
+      .populate('reviewedBy', 'name')
+      .sort('-createdAt');
+    
+    res.json(requests);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Cancel my pending join request
+router.delete('/join-requests/:requestId', isAuthenticated, async (req, res) => {
+  try {
+    const request = await JoinRequest.findOne({
+      _id: req.params.requestId,
+      user: req.user._id,
+      status: 'pending'
+    });
+    
+    if (!request) {
+      return res.status(404).json({ message: 'Join request not found' });
+    }
+    
+    request.status = 'cancelled';
+    await request.save();
+    
+    res.json({ message: 'Join request cancelled' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Preview an invite before accepting it
+router.get('/invites/:code', isAuthenticated, async (req, res) => {
+  try {
+    const invite = await Invite.findOne({ code: req.params.code })
+      .populate('community', 'name description type coverImage members')
+      .populate('createdBy', 'name');
+    
+    if (!invite || !invite.community || !invite.isUsable()) {
+      return res.status(404).json({ message: 'Invite is invalid or has expired' });
+    }
+    
+    res.json({
+      community: {
+        _id: invite.community._id,
+        name: invite.community.name,
+        description: invite.community.description,
+        type: invite.community.type,
+        coverImage: invite.community.coverImage,
+        memberCount: invite.community.members.length
+      },
+      invitedBy: invite.createdBy,
+      role: invite.role,
+      expiresAt: invite.expiresAt,
+      isMember: invite.community.members.some(m => m.equals(req.user._id))
     });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Accept an invite (skips the join request queue of private communities)
+router.post('/invites/:code/accept', [isAuthenticated, requireVerifiedEmail], async (req, res) => {
+  try {
+    const invite = await Invite.findOne({ code: req.params.code });
+    
+    if (!invite || !invite.isUsable()) {
+      return res.status(404).json({ message: 'Invite is invalid or has expired' });
+    }
+    
+    if (invite.email && invite.email !== req.user.email.toLowerCase()) {
+      return res.status(403).json({ message: 'This invite was sent to a different email address' });
+    }
     
-    res.json({ message: 'Joined successfully', community });
+    const community = await Community.findById(invite.community);
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+    
+    if (community.isArchived()) {
+      return res.status(403).json({ message: 'This community is archived and not accepting new members' });
+    }
+    
+    if (community.members.some(m => m.equals(req.user._id))) {
+      return res.status(400).json({ message: 'Already a member' });
+    }
+    
+    if (community.getActiveBan(req.user._id)) {
+      return res.status(403).json({ message: 'You are banned from this community' });
+    }
+    
+    if (!community.allowsInstitutionMember(req.user)) {
+      return res.status(403).json({ message: 'Only verified members of this institution can join. Verify your institution email first.' });
+    }
+    
+    // Count the use atomically so concurrent accepts can't exceed maxUses
+    const claimed = await Invite.findOneAndUpdate(
+      {
+        _id: invite._id,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+        ...(invite.maxUses ? { uses: { $lt: invite.maxUses } } : {})
+      },
+      { $inc: { uses: 1 }, $push: { usedBy: { user: req.user._id } } },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(404).json({ message: 'Invite is invalid or has expired' });
+    }
+    
+    if (invite.role !== 'student') {
+      community.setMemberRole(req.user._id, invite.role, invite.createdBy);
+    }
+    await addToCommunity(community, req.user._id);
+    
+    await JoinRequest.updateMany(
+      { user: req.user._id, community: community._id, status: 'pending' },
+      { status: 'cancelled' }
+    );
+    
+    res.json({ message: 'Joined successfully', community: { ...community.toObject(), bans: undefined } });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
 // Get user's communities
-router.get('/my-communities', isAuthenticated, async (req, res) => {
+router.get('/my-communities', requireScope('communities:read'), async (req, res) => {
   try {
     const user = await User.findById(req.user._id)
       .populate({
@@ -117,16 +353,106 @@ router.get('/my-communities', isAuthenticated, async (req, res) => {
         }
       });
     
-    res.json(user.communities);
+    // Tokens restricted to one community only see that community
+    const communities = req.accessToken?.community
+      ? user.communities.filter(c => c._id.equals(req.accessToken.community))
+      : user.communities;
+    
+    res.json(communities);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Find public communities to join. Previews never include member lists.
+// Institution-only communities are listed only to verified members of that institution.
+router.get('/discover', requireScope('communities:read'), async (req, res) => {
+  try {
+    const { search, type, sortBy, institutionId } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 50);
+    
+    const myInstitutions = (req.user.institutions || []).map(m => m.institution);
+    const match = {
+      'settings.isPrivate': { $ne: true },
+      archivedAt: null,
+      $or: [
+        { 'settings.institutionOnly': { $ne: true } },
+        { institution: { $in: myInstitutions } }
+      ]
+    };
+    if (type) match.type = String(type);
+    if (institutionId) {
+      if (!mongoose.isValidObjectId(institutionId)) {
+        return res.status(400).json({ message: 'Invalid institution ID' });
+      }
+      match.institution = new mongoose.Types.ObjectId(String(institutionId));
+    }
+    if (search) match.$text = { $search: String(search) };
+    
+    let sort;
+    switch (sortBy || (search ? 'relevance' : 'activity')) {
+      case 'members': sort = { memberCount: -1, lastActivityAt: -1 }; break;
+      case 'newest': sort = { createdAt: -1 }; break;
+      case 'relevance': sort = search ? { score: { $meta: 'textScore' } } : { lastActivityAt: -1 }; break;
+      default: sort = { lastActivityAt: -1 };
+    }
+    
+    const communities = await Community.aggregate([
+      { $match: match },
+      { $addFields: {
+        memberCount: { $size: '$members' },
+        isMember: { $in: [req.user._id, '$members'] },
+        ...(search ? { score: { $meta: 'textScore' } } : {})
+      } },
+      { $sort: sort },
+      { $skip: (page - 1) * limit },
+      { $limit: limit },
+      { $project: {
+        name: 1,
+        description: 1,
+        type: 1,
+        code: 1,
+        coverImage: 1,
+        memberCount: 1,
+        isMember: 1,
+        parent: 1,
+        institution: 1,
+        isOfficial: 1,
+        lastActivityAt: 1,
+        createdAt: 1
+      } }
+    ]);
+    await Community.populate(communities, { path: 'institution', select: 'name slug' });
+    
+    const total = await Community.countDocuments(match);
+    
+    res.json({
+      communities,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page
+    });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
-// Get community details
-router.get('/:communityId', [isAuthenticated, isCommunityMember], async (req, res) => {
+// Get community details. Members of sub-communities see the details without the member list.
+router.get('/:communityId', [requireScope('communities:read'), canViewCommunity], async (req, res) => {
   try {
+    const isInsider = req.community.members.includes(req.user._id) || req.community.isModerator(req.user._id);
+    
+    if (!isInsider) {
+      const community = await Community.findById(req.params.communityId)
+        .select('-bans -members -memberRoles -memberJoins -code')
+        .populate('creator', 'name profilePicture')
+        .populate('moderators', 'name profilePicture');
+      
+      return res.json({ ...community.toObject(), memberCount: req.community.members.length, isMember: false });
+    }
+    
     const community = await Community.findById(req.params.communityId)
+      .select('-bans')
       .populate('creator', 'name email profilePicture')
       .populate('moderators', 'name email profilePicture')
       .populate('members', 'name email profilePicture role');
@@ -137,21 +463,263 @@ router.get('/:communityId', [isAuthenticated, isCommunityMember], async (req, re
   }
 });
 
-// Update community settings (moderators only)
-router.put('/:communityId/settings', [isAuthenticated, isCommunityMember], async (req, res) => {
+// Member directory (profiles filtered by each member's privacy settings)
+router.get('/:communityId/members', [requireScope('communities:read'), isCommunityMember], async (req, res) => {
+  try {
+    const { page = 1, limit = 50, search } = req.query;
+    const community = req.community;
+    const query = { _id: { $in: community.members } };
+    
+    if (search) {
+      query.name = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    }
+    
+    const members = await User.find(query)
+      .sort('name')
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+    
+    const total = await User.countDocuments(query);
+    
+    res.json({
+      members: members.map(member => ({
+        ...member.getVisibleProfile(req.user, { sharesCommunity: true }),
+        communityRole: community.getMemberRole(member._id),
+        isModerator: community.isModerator(member._id),
+        isCreator: community.creator.equals(member._id)
+      })),
+      totalPages: Math.ceil(total / limit),
+      currentPage: page
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Edit name, description, type and cover image (moderators only).
+// Send multipart with a `coverImage` file, or `removeCoverImage=true` to clear it.
+router.put('/:communityId', [
+  isAuthenticated,
+  isCommunityMember,
+  rejectArchived(),
+  (req, res, next) => {
+    coverUpload.single('coverImage')(req, res, (err) => {
+      if (err) {
+        if (err.code === 'LIMIT_FILE_SIZE') {
+          return res.status(400).json({ message: 'File too large. Maximum size is 5MB.' });
+        }
+        return res.status(400).json({ message: 'File upload error: ' + err.message });
+      }
+      next();
+    });
+  },
+  discardUploadsOnRejection,
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 50 }).withMessage('Name must be 3-50 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ min: 10, max: 500 }).withMessage('Description must be 10-500 characters'),
+  body('type')
+    .optional()
+    .isIn(['academic', 'chillout']).withMessage('Invalid community type'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const community = req.community;
+    
+    if (!community.isModerator(req.user._id)) {
+      return res.status(403).json({ message: 'Only moderators can edit the community' });
+    }
+    
+    const { name, description, type, removeCoverImage } = req.body;
+    if (name !== undefined) community.name = name;
+    if (description !== undefined) community.description = description;
+    if (type !== undefined) community.type = type;
+    
+    const oldCover = community.coverImage;
+    if (req.file) {
+      community.coverImage = req.file.path;
+    } else if (removeCoverImage === 'true' || removeCoverImage === true) {
+      community.coverImage = undefined;
+    }
+    
+    await community.save();
+    
+    // Only drop the old file once the new one is saved
+    if (oldCover && oldCover !== community.coverImage) {
+      deleteFileByUrl(oldCover)
+        .catch(err => console.error('Failed to delete old cover image:', err.message));
+    }
+    
+    res.json({ ...community.toObject(), bans: undefined });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Archive: the community stays readable but nothing new can be posted (creator only)
+router.put('/:communityId/archive', [isAuthenticated, isCommunityMember], async (req, res) => {
+  try {
+    const community = req.community;
+    
+    if (!community.creator.equals(req.user._id)) {
+      return res.status(403).json({ message: 'Only the creator can archive the community' });
+    }
+    
+    if (community.isArchived()) {
+      return res.status(400).json({ message: 'Community is already archived' });
+    }
+    
+    community.archivedAt = Date.now();
+    community.archivedBy = req.user._id;
+    await community.save();
+    
+    // Pending requests and invites can no longer lead anywhere
+    await JoinRequest.updateMany(
+      { community: community._id, status: 'pending' },
+      { status: 'cancelled' }
+    );
+    await Invite.updateMany(
+      { community: community._id, revokedAt: null },
+      { revokedAt: Date.now() }
+    );
+    
+    res.json({ message: 'Community archived', archivedAt: community.archivedAt });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Bring an archived community back (creator only)
+router.put('/:communityId/unarchive', [isAuthenticated, isCommunityMember], async (req, res) => {
+  try {
+    const community = req.community;
+    
+    if (!community.creator.equals(req.user._id)) {
+      return res.status(403).json({ message: 'Only the creator can unarchive the community' });
+    }
+    
+    if (!community.isArchived()) {
+      return res.status(400).json({ message: 'Community is not archived' });
+    }
+    
+    community.archivedAt = undefined;
+    community.archivedBy = undefined;
+    await community.save();
+    
+    res.json({ message: 'Community restored' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Permanently delete the community with all of its content and files (creator only).
+// The community name must be sent back as confirmation.
+router.delete('/:communityId', [
+  isAuthenticated,
+  isCommunityMember,
+  body('confirmName').trim().notEmpty().withMessage('Type the community name to confirm'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const community = req.community;
+    
+    if (!community.creator.equals(req.user._id)) {
+      return res.status(403).json({ message: 'Only the creator can delete the community' });
+    }
+    
+    if (req.body.confirmName !== community.name) {
+      return res.status(400).json({ message: 'Community name confirmation does not match' });
+    }
+    
+    const report = await deleteCommunity(community._id);
+    
+    res.json({ message: 'Community deleted', report });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// The permission matrix plus what the current user may do
+router.get('/:communityId/permissions', [requireScope('communities:read'), isCommunityMember], async (req, res) => {
   try {
     const community = req.community;
+    const role = community.getPermissionRole(req.user._id);
     
-    // Check if user is moderator
-    if (!community.moderators.includes(req.user._id)) {
+    res.json({
+      roles: Community.PERMISSION_ROLES,
+      permissions: community.getPermissions(),
+      myRole: role,
+      allowed: Object.keys(Community.DEFAULT_PERMISSIONS).filter(action => community.hasPermission(req.user._id, action))
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Update community settings (moderators only). Only known settings are accepted.
+router.put('/:communityId/settings', [
+  isAuthenticated,
+  body('settings').isObject().withMessage('settings must be an object'),
+  body('settings.isPrivate').optional().isBoolean().withMessage('isPrivate must be true or false'),
+  body('settings.allowStudentUploads').optional().isBoolean().withMessage('allowStudentUploads must be true or false'),
+  body('settings.institutionOnly').optional().isBoolean().withMessage('institutionOnly must be true or false'),
+  body('settings.autoApprove.emailDomains').optional().isArray({ max: 20 }).withMessage('emailDomains must be a list of up to 20 domains'),
+  body('settings.autoApprove.emailDomains.*').isFQDN().withMessage('Email domains must look like college.edu'),
+  body('settings.permissions')
+    .optional()
+    .isObject().withMessage('permissions must be an object')
+    .custom(permissions => {
+      for (const [action, roles] of Object.entries(permissions)) {
+        if (!Community.DEFAULT_PERMISSIONS[action]) {
+          throw new Error(`Unknown permission: ${action}`);
+        }
+        if (!Array.isArray(roles) || roles.some(role => !Community.PERMISSION_ROLES.includes(role))) {
+          throw new Error(`${action} must be a list of roles: ${Community.PERMISSION_ROLES.join(', ')}`);
+        }
+      }
+      return true;
+    }),
+  handleValidationErrors,
+  isCommunityMember,
+  rejectArchived()
+], async (req, res) => {
+  try {
+    const community = req.community;
+    
+    if (!community.isModerator(req.user._id)) {
       return res.status(403).json({ message: 'Only moderators can update settings' });
     }
     
-    const { settings } = req.body;
-    community.settings = { ...community.settings, ...settings };
+    const { isPrivate, allowStudentUploads, institutionOnly, autoApprove, permissions } = req.body.settings;
+    
+    if (institutionOnly !== undefined && !community.institution) {
+      return res.status(400).json({ message: 'Only institution communities can be limited to the institution' });
+    }
+    
+    if (isPrivate !== undefined) community.settings.isPrivate = isPrivate;
+    if (institutionOnly !== undefined) community.settings.institutionOnly = institutionOnly;
+    if (autoApprove?.emailDomains) community.settings.autoApprove.emailDomains = autoApprove.emailDomains;
+    
+    // The old upload switch maps onto the matrix
+    if (allowStudentUploads !== undefined && !permissions?.uploadNote) {
+      community.settings.permissions.uploadNote = allowStudentUploads
+        ? Community.DEFAULT_PERMISSIONS.uploadNote
+        : ['cr', 'teacher', 'moderator'];
+    }
+    for (const [action, roles] of Object.entries(permissions || {})) {
+      community.settings.permissions[action] = [...new Set(roles)];
+    }
+    if (community.settings.permissions.uploadNote) {
+      community.settings.allowStudentUploads = community.settings.permissions.uploadNote.includes('member');
+    }
+    
     await community.save();
     
-    res.json(community);
+    res.json({ ...community.toObject(), bans: undefined, permissions: community.getPermissions() });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -164,24 +732,1150 @@ router.delete('/:communityId/leave', [isAuthenticated, isCommunityMember], async
     
     // Creator cannot leave
     if (community.creator.equals(req.user._id)) {
-      return res.status(400).json({ message: 'Creator cannot leave the community' });
+      return res.status(400).json({ message: 'Transfer ownership before leaving the community' });
     }
     
-    // Remove user from community
-    community.members = community.members.filter(
-      member => !member.equals(req.user._id)
-    );
-    community.moderators = community.moderators.filter(
-      mod => !mod.equals(req.user._id)
-    );
-    await community.save();
+    await removeFromCommunity(community, req.user._id);
     
-    // Remove community from user
-    await User.findByIdAndUpdate(req.user._id, {
-      $pull: { communities: community._id }
+    res.json({ message: 'Left community successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// ========== HIERARCHY ==========
+
+// Parents (root first) and direct sub-communities
+router.get('/:communityId/hierarchy', [requireScope('communities:read'), canViewCommunity], async (req, res) => {
+  try {
+    const community = req.community;
+    const isModerator = community.isModerator(req.user._id);
+    
+    const ancestors = await Community.find({ _id: { $in: community.ancestors } })
+      .select('name type coverImage');
+    const byId = new Map(ancestors.map(a => [a._id.toString(), a]));
+    
+    const children = await Community.find({ parent: community._id, archivedAt: null })
+      .select('name description type coverImage members settings.isPrivate');
+    
+    res.json({
+      ancestors: community.ancestors.map(id => byId.get(id.toString())).filter(Boolean),
+      children: children
+        .filter(c => isModerator || !c.settings.isPrivate || c.members.some(m => m.equals(req.user._id)))
+        .map(c => ({
+          _id: c._id,
+          name: c.name,
+          description: c.description,
+          type: c.type,
+          coverImage: c.coverImage,
+          isPrivate: c.settings.isPrivate,
+          memberCount: c.members.length,
+          isMember: c.members.some(m => m.equals(req.user._id))
+        }))
     });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Move a community (and everything below it) under another parent, or make it top-level with parentId null.
+// Needs authority over the current position (moderator of a parent, or the creator of a top-level
+// community) and moderator rights in the new parent.
+router.put('/:communityId/parent', [
+  isAuthenticated,
+  body('parentId').optional({ values: 'null' }).isMongoId().withMessage('Valid parent community ID required'),
+  handleValidationErrors,
+  isCommunityMember,
+  rejectArchived()
+], async (req, res) => {
+  try {
+    const community = req.community;
+    const inherited = await community.loadInheritedModerators();
     
-    res.json({ message: 'Left community successfully' });
+    const canMove = community.parent
+      ? inherited.some(mod => mod.equals(req.user._id))
+      : community.creator.equals(req.user._id);
+    if (!canMove) {
+      return res.status(403).json({ message: 'Only moderators of the parent community can move this community' });
+    }
+    
+    let parent = null;
+    if (req.body.parentId) {
+      parent = await Community.findById(req.body.parentId);
+      if (!parent) {
+        return res.status(404).json({ message: 'Parent community not found' });
+      }
+      if (parent._id.equals(community._id) || parent.ancestors.some(a => a.equals(community._id))) {
+        return res.status(400).json({ message: 'A community cannot be moved inside itself' });
+      }
+      await parent.loadInheritedModerators();
+      if (!parent.isModerator(req.user._id)) {
+        return res.status(403).json({ message: 'Only moderators of the parent community can add sub-communities' });
+      }
+      if (parent.isArchived()) {
+        return res.status(403).json({ message: 'The parent community is archived' });
+      }
+    }
+    
+    const descendants = await Community.find({ ancestors: community._id }).select('ancestors');
+    const oldDepth = community.ancestors.length;
+    const levelsBelow = Math.max(0, ...descendants.map(d => d.ancestors.length - oldDepth));
+    const newAncestors = parent ? [...parent.ancestors, parent._id] : [];
+    
+    if (newAncestors.length + levelsBelow + 1 > Community.MAX_DEPTH) {
+      return res.status(400).json({ message: `Communities can only be nested ${Community.MAX_DEPTH} levels deep` });
+    }
+    
+    community.parent = parent ? parent._id : undefined;
+    community.ancestors = newAncestors;
+    await community.save();
+    
+    // Re-root the ancestor path of every descendant
+    if (descendants.length > 0) {
+      await Community.bulkWrite(descendants.map(d => ({
+        updateOne: {
+          filter: { _id: d._id },
+          update: { ancestors: [...newAncestors, ...d.ancestors.slice(oldDepth)] }
+        }
+      })));
+    }
+    
+    res.json({ message: parent ? `Moved under ${parent.name}` : 'Community is now top-level', community: { _id: community._id, parent: community.parent, ancestors: community.ancestors } });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// ========== MEMBER MANAGEMENT ==========
+
+// Creator outranks moderators, moderators outrank members
+const canManage = (community, actorId, targetId) => {
+  if (community.creator.equals(targetId)) return false;
+  if (community.creator.equals(actorId)) return true;
+  return community.isModerator(actorId) && !community.isModerator(targetId);
+};
+
+// Make someone a moderator (creator only)
+router.put('/:communityId/moderators/:userId', [isAuthenticated, isCommunityMember], async (req, res) => {
+  try {
+    const community = req.community;
+    
+    if (!community.creator.equals(req.user._id)) {
+      return res.status(403).json({ message: 'Only the creator can manage moderators' });
+    }
+    
+    if (!community.members.some(m => m.equals(req.params.userId))) {
+      return res.status(404).json({ message: 'User is not a member of this community' });
+    }
+    
+    if (community.isModerator(req.params.userId)) {
+      return res.status(400).json({ message: 'User is already a moderator' });
+    }
+    
+    community.moderators.push(req.params.userId);
+    await community.save();
+    
+    res.json({ message: 'Moderator added', moderators: community.moderators });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Remove moderator status (creator only)
+router.delete('/:communityId/moderators/:userId', [isAuthenticated, isCommunityMember], async (req, res) => {
+  try {
+    const community = req.community;
+    
+    if (!community.creator.equals(req.user._id)) {
+      return res.status(403).json({ message: 'Only the creator can manage moderators' });
+    }
+    
+    if (community.creator.equals(req.params.userId)) {
+      return res.status(400).json({ message: 'The creator is always a moderator' });
+    }
+    
+    if (!community.moderators.some(mod => mod.equals(req.params.userId))) {
+      return res.status(404).json({ message: 'User is not a moderator' });
+    }
+    
+    community.moderators = community.moderators.filter(mod => !mod.equals(req.params.userId));
+    await community.save();
+    
+    res.json({ message: 'Moderator removed', moderators: community.moderators });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Remove a member (moderators only; only the creator can remove moderators)
+router.delete('/:communityId/members/:userId', [isAuthenticated, isCommunityMember], async (req, res) => {
+  try {
+    const community = req.community;
+    
+    if (!community.isModerator(req.user._id)) {
+      return res.status(403).json({ message: 'Only moderators can remove members' });
+    }
+    
+    if (req.params.userId === req.user._id.toString()) {
+      return res.status(400).json({ message: 'Use leave to remove yourself' });
+    }
+    
+    if (!community.members.some(m => m.equals(req.params.userId))) {
+      return res.status(404).json({ message: 'User is not a member of this community' });
+    }
+    
+    if (!canManage(community, req.user._id, req.params.userId)) {
+      return res.status(403).json({ message: 'You cannot remove this member' });
+    }
+    
+    await removeFromCommunity(community, req.params.userId);
+    
+    res.json({ message: 'Member removed' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Hand the community over to another member (creator only)
+router.put('/:communityId/transfer-ownership', [
+  isAuthenticated,
+  isCommunityMember,
+  body('userId').isMongoId().withMessage('Valid user ID required'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const community = req.community;
+    const { userId } = req.body;
+    
+    if (!community.creator.equals(req.user._id)) {
+      return res.status(403).json({ message: 'Only the creator can transfer ownership' });
+    }
+    
+    if (userId === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You already own this community' });
+    }
+    
+    if (!community.members.some(m => m.equals(userId))) {
+      return res.status(404).json({ message: 'New owner must be a member of this community' });
+    }
+    
+    // The previous creator stays on as a moderator
+    community.creator = userId;
+    if (!community.moderators.some(mod => mod.equals(userId))) {
+      community.moderators.push(userId);
+    }
+    await community.save();
+    
+    res.json({ message: 'Ownership transferred', creator: community.creator });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// ========== BANS ==========
+
+// Ban list (moderators only)
+router.get('/:communityId/bans', [isAuthenticated, isCommunityMember], async (req, res) => {
+  try {
+    const community = req.community;
+    
+    if (!community.isModerator(req.user._id)) {
+      return res.status(403).json({ message: 'Only moderators can view bans' });
+    }
+    
+    await community.populate([
+      { path: 'bans.user', select: 'name email profilePicture' },
+      { path: 'bans.bannedBy', select: 'name' }
+    ]);
+    
+    res.json(community.bans.filter(ban => !ban.expiresAt || ban.expiresAt > new Date()));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Ban a user (removes them if they are a member)
+router.post('/:communityId/bans', [
+  isAuthenticated,
+  isCommunityMember,
+  body('userId').isMongoId().withMessage('Valid user ID required'),
+  body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('Reason must be 3-500 characters'),
+  body('expiresAt').optional({ values: 'falsy' }).isISO8601().withMessage('Valid date required'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const community = req.community;
+    const { userId, reason, expiresAt } = req.body;
+    
+    if (!community.isModerator(req.user._id)) {
+      return res.status(403).json({ message: 'Only moderators can ban users' });
+    }
+    
+    if (userId === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot ban yourself' });
+    }
+    
+    if (!canManage(community, req.user._id, userId)) {
+      return res.status(403).json({ message: 'You cannot ban this user' });
+    }
+    
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+      return res.status(400).json({ message: 'Ban expiry must be in the future' });
+    }
+    
+    if (!(await User.exists({ _id: userId }))) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    // Replaces any earlier ban for the same user
+    community.bans = community.bans.filter(ban => !ban.user.equals(userId));
+    community.bans.push({
+      user: userId,
+      reason,
+      bannedBy: req.user._id,
+      expiresAt: expiresAt ? new Date(expiresAt) : undefined
+    });
+    
+    if (community.members.some(m => m.equals(userId))) {
+      await removeFromCommunity(community, userId);
+    } else {
+      await community.save();
+    }
+    
+    await JoinRequest.updateMany(
+      { user: userId, community: community._id, status: 'pending' },
+      { status: 'rejected', reviewedBy: req.user._id, reviewedAt: Date.now() }
+    );
+    
+    res.status(201).json({ message: 'User banned', ban: community.bans[community.bans.length - 1] });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Lift a ban (moderators only)
+router.delete('/:communityId/bans/:userId', [isAuthenticated, isCommunityMember], async (req, res) => {
+  try {
+    const community = req.community;
+    
+    if (!community.isModerator(req.user._id)) {
+      return res.status(403).json({ message: 'Only moderators can lift bans' });
+    }
+    
+    if (!community.bans.some(ban => ban.user.equals(req.params.userId))) {
+      return res.status(404).json({ message: 'User is not banned' });
+    }
+    
+    community.bans = community.bans.filter(ban => !ban.user.equals(req.params.userId));
+    await community.save();
+    
+    res.json({ message: 'Ban lifted' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// ========== CHANNELS ==========
+
+// Restricted channel members must belong to the community
+const validChannelMembers = (community, userIds = []) => {
+  return [...new Set(userIds.map(String))].filter(id => community.members.some(m => m.equals(id)));
+};
+
+// Channels I can see in this community
+router.get('/:communityId/channels', [requireScope('communities:read'), isCommunityMember], async (req, res) => {
+  try {
+    const channels = await Channel.find({ community: req.community._id })
+      .sort('name');
+    
+    const isModerator = req.community.isModerator(req.user._id);
+    
+    res.json(channels
+      .filter(channel => channel.canView(req.community, req.user._id))
+      .map(channel => ({
+        ...channel.toObject(),
+        // Only moderators manage who is in a restricted channel
+        allowedMembers: isModerator ? channel.allowedMembers : undefined
+      })));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Create a channel (moderators only)
+router.post('/:communityId/channels', [
+  isAuthenticated,
+  body('name').trim().isLength({ min: 2, max: 50 }).withMessage('Name must be 2-50 characters'),
+  body('description').optional().trim().isLength({ max: 300 }).withMessage('Description must be less than 300 characters'),
+  body('isRestricted').optional().isBoolean().withMessage('isRestricted must be true or false'),
+  body('allowedMembers').optional().isArray().withMessage('allowedMembers must be a list of user IDs'),
+  body('allowedMembers.*').isMongoId().withMessage('Valid user IDs required'),
+  handleValidationErrors,
+  isCommunityMember,
+  rejectArchived()
+], async (req, res) => {
+  try {
+    const community = req.community;
+    const { name, description, isRestricted = false, allowedMembers } = req.body;
+    
+    if (!community.isModerator(req.user._id)) {
+      return res.status(403).json({ message: 'Only moderators can create channels' });
+    }
+    
+    const channel = await Channel.create({
+      community: community._id,
+      name,
+      description,
+      isRestricted,
+      allowedMembers: isRestricted ? validChannelMembers(community, allowedMembers) : [],
+      createdBy: req.user._id
+    });
+    
+    res.status(201).json(channel);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A channel with this name already exists' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Update a channel, including who can see a restricted channel (moderators only)
+router.put('/:communityId/channels/:channelId', [
+  isAuthenticated,
+  param('channelId').isMongoId().withMessage('Invalid channel ID'),
+  body('name').optional().trim().isLength({ min: 2, max: 50 }).withMessage('Name must be 2-50 characters'),
+  body('description').optional().trim().isLength({ max: 300 }).withMessage('Description must be less than 300 characters'),
+  body('isRestricted').optional().isBoolean().withMessage('isRestricted must be true or false'),
+  body('allowedMembers').optional().isArray().withMessage('allowedMembers must be a list of user IDs'),
+  body('allowedMembers.*').isMongoId().withMessage('Valid user IDs required'),
+  handleValidationErrors,
+  isCommunityMember,
+  rejectArchived()
+], async (req, res) => {
+  try {
+    const community = req.community;
+    
+    if (!community.isModerator(req.user._id)) {
+      return res.status(403).json({ message: 'Only moderators can edit channels' });
+    }
+    
+    const channel = await Channel.findOne({ _id: req.params.channelId, community: community._id });
+    if (!channel) {
+      return res.status(404).json({ message: 'Channel not found' });
+    }
+    
+    const { name, description, isRestricted, allowedMembers } = req.body;
+    if (name !== undefined) channel.name = name;
+    if (description !== undefined) channel.description = description;
+    if (isRestricted !== undefined) channel.isRestricted = isRestricted;
+    if (allowedMembers !== undefined) channel.allowedMembers = validChannelMembers(community, allowedMembers);
+    if (!channel.isRestricted) channel.allowedMembers = [];
+    
+    await channel.save();
+    
+    res.json(channel);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A channel with this name already exists' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Delete a channel. Content of an open channel stays in the community without a channel;
+// restricted channels must be emptied first. (moderators only)
+router.delete('/:communityId/channels/:channelId', [
+  isAuthenticated,
+  param('channelId').isMongoId().withMessage('Invalid channel ID'),
+  handleValidationErrors,
+  isCommunityMember,
+  rejectArchived()
+], async (req, res) => {
+  try {
+    const community = req.community;
+    
+    if (!community.isModerator(req.user._id)) {
+      return res.status(403).json({ message: 'Only moderators can delete channels' });
+    }
+    
+    const channel = await Channel.findOne({ _id: req.params.channelId, community: community._id });
+    if (!channel) {
+      return res.status(404).json({ message: 'Channel not found' });
+    }
+    
+    // Moving restricted content into the community would show it to every member
+    if (channel.isRestricted) {
+      const counts = await Promise.all([Thread, Note, Event, Poll].map(Model =>
+        Model.countDocuments({ channel: channel._id })
+      ));
+      const itemCount = counts.reduce((sum, count) => sum + count, 0);
+      if (itemCount > 0) {
+        return res.status(409).json({
+          message: 'Delete the content of this restricted channel before deleting it',
+          itemCount
+        });
+      }
+    }
+    
+    await channel.deleteOne();
+    await Promise.all([Thread, Note, Event, Poll].map(Model =>
+      Model.updateMany({ channel: channel._id }, { $unset: { channel: '' } })
+    ));
+    
+    res.json({ message: 'Channel deleted' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// ========== INVITES ==========
+
+const INVITE_CODE_LENGTH = 10;
+
+// Create an invite under a fresh code, drawing again if a concurrent create took it
+const createInvite = (fields) => retryOnCodeCollision('code', async () => Invite.create({
+  ...fields,
+  code: await generateUniqueCode(Invite, 'code', INVITE_CODE_LENGTH)
+}));
+
+// Active invites (moderators only)
+router.get('/:communityId/invites', [isAuthenticated, isCommunityMember], async (req, res) => {
+  try {
+    if (!req.community.isModerator(req.user._id)) {
+      return res.status(403).json({ message: 'Only moderators can view invites' });
+    }
+    
+    const invites = await Invite.find({
+      community: req.community._id,
+      revokedAt: null,
+      expiresAt: { $gt: Date.now() }
+    })
+      .populate('createdBy', 'name')
+      .select('-usedBy -__v')
+      .sort('-createdAt');
+    
+    res.json(invites.filter(invite => invite.isUsable()));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Create a shareable invite link (moderators only)
+router.post('/:communityId/invites', [
+  isAuthenticated,
+  body('expiresInHours').optional().isInt({ min: 1, max: 24 * 30 }).withMessage('Expiry must be 1-720 hours'),
+  body('maxUses').optional({ values: 'falsy' }).isInt({ min: 1, max: 1000 }).withMessage('Max uses must be 1-1000'),
+  body('role').optional().isIn(['student', 'cr', 'teacher']).withMessage('Role must be student, cr or teacher'),
+  handleValidationErrors,
+  isCommunityMember,
+  rejectArchived()
+], async (req, res) => {
+  try {
+    const community = req.community;
+    const { expiresInHours = 24 * 7, maxUses, role = 'student' } = req.body;
+    
+    if (!community.isModerator(req.user._id)) {
+      return res.status(403).json({ message: 'Only moderators can create invites' });
+    }
+    
+    const invite = await createInvite({
+      community: community._id,
+      createdBy: req.user._id,
+      role,
+      maxUses: maxUses || undefined,
+      expiresAt: new Date(Date.now() + expiresInHours * 60 * 60 * 1000)
+    });
+    
+    res.status(201).json({
+      invite,
+      url: `${process.env.CLIENT_URL}/invite/${invite.code}`
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Invite someone by email (moderators only). Respects the invitee's communityInvites setting.
+router.post('/:communityId/invites/email', [
+  isAuthenticated,
+  // Lowercased like stored user emails; normalizeEmail() would strip Gmail dots and +tags and miss the account
+  body('email').trim().isEmail().withMessage('Valid email required').toLowerCase(),
+  body('role').optional().isIn(['student', 'cr', 'teacher']).withMessage('Role must be student, cr or teacher'),
+  body('expiresInDays').optional().isInt({ min: 1, max: 30 }).withMessage('Expiry must be 1-30 days'),
+  handleValidationErrors,
+  isCommunityMember,
+  rejectArchived()
+], async (req, res) => {
+  try {
+    const community = req.community;
+    const { email, role = 'student', expiresInDays = 14 } = req.body;
+    
+    if (!community.isModerator(req.user._id)) {
+      return res.status(403).json({ message: 'Only moderators can send invites' });
+    }
+    
+    const invitee = await User.findOne({ email });
+    if (invitee) {
+      if (community.members.some(m => m.equals(invitee._id))) {
+        return res.status(400).json({ message: 'User is already a member' });
+      }
+      if (invitee.settings?.communityInvites === false) {
+        return res.status(403).json({ message: 'This user does not accept community invites' });
+      }
+      if (community.getActiveBan(invitee._id)) {
+        return res.status(400).json({ message: 'This user is banned from the community' });
+      }
+    }
+    
+    // A new invite replaces any earlier one for the same address
+    await Invite.updateMany(
+      { community: community._id, email, revokedAt: null },
+      { revokedAt: Date.now() }
+    );
+    
+    const invite = await createInvite({
+      community: community._id,
+      createdBy: req.user._id,
+      role,
+      email,
+      maxUses: 1,
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+    });
+    
+    await sendCommunityInviteEmail(email, community.name, req.user.name, invite.code);
+    
+    res.status(201).json({ message: `Invite sent to ${email}`, invite });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Revoke an invite (moderators only)
+router.delete('/:communityId/invites/:inviteId', [isAuthenticated, isCommunityMember], async (req, res) => {
+  try {
+    if (!req.community.isModerator(req.user._id)) {
+      return res.status(403).json({ message: 'Only moderators can revoke invites' });
+    }
+    
+    const invite = await Invite.findOneAndUpdate(
+      { _id: req.params.inviteId, community: req.community._id, revokedAt: null },
+      { revokedAt: Date.now() }
+    );
+    
+    if (!invite) {
+      return res.status(404).json({ message: 'Invite not found' });
+    }
+    
+    res.json({ message: 'Invite revoked' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Replace the community's join code, e.g. after it leaked (moderators only)
+router.post('/:communityId/code/regenerate', [isAuthenticated, isCommunityMember], async (req, res) => {
+  try {
+    const community = req.community;
+    
+    if (!community.isModerator(req.user._id)) {
+      return res.status(403).json({ message: 'Only moderators can change the join code' });
+    }
+    
+    await community.regenerateCode();
+    await community.saveWithUniqueCode();
+    
+    res.json({ message: 'Join code regenerated', code: community.code });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// ========== ROSTER ==========
+
+const ROSTER_MAX_ROWS = 500;
+const ROSTER_ROLES = ['student', 'cr', 'teacher'];
+const ROSTER_INVITE_DAYS = 14;
+
+// Roster CSVs are parsed in memory and never stored
+const rosterUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 1024 * 1024, // 1MB limit
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedMimes = ['text/csv', 'application/vnd.ms-excel', 'text/plain'];
+    
+    if (allowedMimes.includes(file.mimetype) || /\.csv$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only CSV files are allowed.'), false);
+    }
+  }
+});
+
+// Check every roster row against the community without changing anything.
+// Each entry gets an action (add, update_role, already_member, invite) or an error.
+const planRosterImport = async (community, rows) => {
+  const header = rows[0].map(h => h.trim().toLowerCase());
+  const column = (name) => header.indexOf(name);
+  const [emailCol, nameCol, roleCol] = ['email', 'name', 'role'].map(column);
+  
+  const seen = new Set();
+  const entries = rows.slice(1).map((row, index) => {
+    const entry = {
+      line: index + 2,
+      name: nameCol > -1 ? (row[nameCol] || '').trim() : '',
+      email: (row[emailCol] || '').trim(),
+      role: (roleCol > -1 && row[roleCol] ? row[roleCol] : 'student').trim().toLowerCase()
+    };
+    
+    if (!validator.isEmail(entry.email)) {
+      entry.error = 'Invalid email';
+    } else if (!ROSTER_ROLES.includes(entry.role)) {
+      entry.error = 'Role must be student, cr or teacher';
+    } else {
+      // Matched against stored user emails, which are only lowercased
+      entry.email = entry.email.toLowerCase();
+      if (seen.has(entry.email)) entry.error = 'Duplicate email in file';
+      seen.add(entry.email);
+    }
+    return entry;
+  });
+  
+  const valid = entries.filter(e => !e.error);
+  const users = await User.find({ email: { $in: valid.map(e => e.email) } }).select('name email institutions settings');
+  const byEmail = new Map(users.map(u => [u.email, u]));
+  
+  for (const entry of valid) {
+    const user = byEmail.get(entry.email);
+    
+    if (!user) {
+      entry.action = 'invite';
+    } else if (community.members.some(m => m.equals(user._id))) {
+      entry.action = community.getMemberRole(user._id) === entry.role ? 'already_member' : 'update_role';
+    } else if (community.getActiveBan(user._id)) {
+      entry.error = 'User is banned from this community';
+    } else if (user.settings?.communityInvites === false) {
+      // Same opt-out as email invites; importing them would bypass it
+      entry.error = 'User does not accept community invites';
+    } else if (!community.allowsInstitutionMember(user)) {
+      entry.error = 'User is not a verified member of the institution';
+    } else {
+      entry.action = 'add';
+    }
+    
+    if (user) {
+      entry.user = user._id;
+      entry.name = entry.name || user.name;
+    }
+  }
+  
+  return entries;
+};
+
+// Import a CSV roster with email, and optional name and role (student, cr, teacher) columns (moderators only).
+// Existing users are added directly unless they opted out of community invites, unknown emails are invited. ?dryRun=true only returns the report.
+router.post('/:communityId/roster/import', [
+  isAuthenticated,
+  isCommunityMember,
+  rejectArchived(),
+  (req, res, next) => {
+    rosterUpload.single('file')(req, res, (err) => {
+      if (err) {
+        if (err.code === 'LIMIT_FILE_SIZE') {
+          return res.status(400).json({ message: 'File too large. Maximum size is 1MB.' });
+        }
+        return res.status(400).json({ message: 'File upload error: ' + err.message });
+      }
+      next();
+    });
+  }
+], async (req, res) => {
+  try {
+    const community = req.community;
+    const dryRun = req.query.dryRun === 'true';
+    
+    if (!community.isModerator(req.user._id)) {
+      return res.status(403).json({ message: 'Only moderators can import a roster' });
+    }
+    
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+    
+    let rows;
+    try {
+      rows = parseCsv(req.file.buffer.toString('utf8'));
+    } catch (error) {
+      return res.status(400).json({ message: `Could not read CSV: ${error.message}` });
+    }
+    
+    if (rows.length < 2 || !rows[0].some(h => h.trim().toLowerCase() === 'email')) {
+      return res.status(400).json({ message: 'The CSV needs a header row with an email column and at least one member' });
+    }
+    if (rows.length - 1 > ROSTER_MAX_ROWS) {
+      return res.status(400).json({ message: `A roster can have at most ${ROSTER_MAX_ROWS} rows` });
+    }
+    
+    const entries = await planRosterImport(community, rows);
+    
+    if (!dryRun) {
+      const added = entries.filter(e => e.action === 'add');
+      
+      for (const entry of entries) {
+        if (entry.action === 'add') community.addMember(entry.user);
+        if (entry.action === 'add' || entry.action === 'update_role') {
+          community.setMemberRole(entry.user, entry.role, req.user._id);
+        }
+      }
+      await community.save();
+      
+      if (added.length > 0) {
+        const addedIds = added.map(e => e.user);
+        await User.updateMany({ _id: { $in: addedIds } }, { $addToSet: { communities: community._id } });
+        await JoinRequest.updateMany(
+          { user: { $in: addedIds }, community: community._id, status: 'pending' },
+          { status: 'cancelled' }
+        );
+      }
+      
+      for (const entry of entries.filter(e => e.action === 'invite')) {
+        // A new invite replaces any earlier one for the same address
+        await Invite.updateMany(
+          { community: community._id, email: entry.email, revokedAt: null },
+          { revokedAt: Date.now() }
+        );
+        
+        const invite = await createInvite({
+          community: community._id,
+          createdBy: req.user._id,
+          role: entry.role,
+          email: entry.email,
+          maxUses: 1,
+          expiresAt: new Date(Date.now() + ROSTER_INVITE_DAYS * 24 * 60 * 60 * 1000)
+        });
+        
+        sendCommunityInviteEmail(entry.email, community.name, req.user.name, invite.code)
+          .catch(err => console.error('Roster invite email error:', err));
+      }
+    }
+    
+    const count = (action) => entries.filter(e => e.action === action).length;
+    
+    res.json({
+      dryRun,
+      summary: {
+        rows: entries.length,
+        added: count('add'),
+        rolesUpdated: count('update_role'),
+        alreadyMembers: count('already_member'),
+        invited: count('invite'),
+        errors: entries.filter(e => e.error).length
+      },
+      rows: entries.map(({ user, ...entry }) => entry)
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Download the member roster as CSV with roles and join dates (moderators only).
+// The file can be imported again: `role` holds the importable member role, and moderator
+// status goes in its own column, which the import ignores.
+router.get('/:communityId/roster/export', [isAuthenticated, isCommunityMember], async (req, res) => {
+  try {
+    const community = req.community;
+    
+    if (!community.isModerator(req.user._id)) {
+      return res.status(403).json({ message: 'Only moderators can export the roster' });
+    }
+    
+    const members = await User.find({ _id: { $in: community.members } })
+      .select('name email')
+      .sort('name');
+    
+    const moderatorRoleOf = (userId) => {
+      if (community.creator.equals(userId)) return 'creator';
+      if (community.moderators.some(mod => mod.equals(userId))) return 'moderator';
+      return '';
+    };
+    
+    const csv = toCsv(
+      ['name', 'email', 'role', 'moderator_role', 'joined_at'],
+      members.map(member => {
+        const joinedAt = community.getJoinedAt(member._id);
+        return [
+          member.name,
+          member.email,
+          community.getMemberRole(member._id),
+          moderatorRoleOf(member._id),
+          joinedAt ? joinedAt.toISOString() : ''
+        ];
+      })
+    );
+    
+    const filename = community.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'community';
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.attachment(`${filename}-roster.csv`);
+    res.send(csv);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// ========== JOIN REQUESTS ==========
+
+// List join requests (moderators only)
+router.get('/:communityId/join-requests', [isAuthenticated, isCommunityMember], async (req, res) => {
+  try {
+    if (!req.community.isModerator(req.user._id)) {
+      return res.status(403).json({ message: 'Only moderators can view join requests' });
+    }
+    
+    const { status = 'pending' } = req.query;
+    
+    const requests = await JoinRequest.find({ community: req.community._id, status })
+      .populate('user', 'name email profilePicture')
+      .populate('reviewedBy', 'name')
+      .sort('createdAt');
+    
+    res.json(requests);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Approve or reject a join request (moderators only). The requester is emailed either way.
+router.put('/:communityId/join-requests/:requestId', [
+  isAuthenticated,
+  body('decision').isIn(['approve', 'reject']).withMessage('Decision must be approve or reject'),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note must be less than 500 characters'),
+  handleValidationErrors,
+  isCommunityMember
+], async (req, res) => {
+  try {
+    const community = req.community;
+    
+    if (!community.isModerator(req.user._id)) {
+      return res.status(403).json({ message: 'Only moderators can review join requests' });
+    }
+    
+    const request = await JoinRequest.findOne({
+      _id: req.params.requestId,
+      community: community._id
+    }).populate('user', 'email institutions');
+    
+    if (!request) {
+      return res.status(404).json({ message: 'Join request not found' });
+    }
+    
+    if (request.status !== 'pending') {
+      return res.status(400).json({ message: `Request was already ${request.status}` });
+    }
+    
+    if (!request.user) {
+      return res.status(400).json({ message: 'The requester no longer exists' });
+    }
+    
+    const approved = req.body.decision === 'approve';
+    
+    if (approved) {
+      if (community.getActiveBan(request.user._id)) {
+        return res.status(400).json({ message: 'This user is banned from the community' });
+      }
+      if (!community.allowsInstitutionMember(request.user)) {
+        return res.status(400).json({ message: 'This user is not a verified member of the institution' });
+      }
+      if (!community.members.some(member => member.equals(request.user._id))) {
+        await addToCommunity(community, request.user._id);
+      }
+    }
+    
+    request.status = approved ? 'approved' : 'rejected';
+    request.reviewedBy = req.user._id;
+    request.reviewedAt = Date.now();
+    request.reviewNote = req.body.note;
+    await request.save();
+    
+    sendJoinRequestDecisionEmail(request.user.email, community.name, approved, req.body.note)
+      .catch(err => console.error('Join request email error:', err));
+    
+    res.json(request);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// ========== ROLE REQUESTS ==========
+
+// Request the CR or teacher role in this community
+router.post('/:communityId/role-requests', [
+  isAuthenticated,
+  body('role').isIn(['cr', 'teacher']).withMessage('Role must be cr or teacher'),
+  body('justification')
+    .trim()
+    .isLength({ min: 10, max: 500 }).withMessage('Justification must be 10-500 characters'),
+  handleValidationErrors,
+  isCommunityMember
+], async (req, res) => {
+  try {
+    const community = req.community;
+    const { role, justification } = req.body;
+    
+    if (community.getMemberRole(req.user._id) === role) {
+      return res.status(400).json({ message: `You are already a ${role} in this community` });
+    }
+    
+    const pending = await RoleRequest.findOne({
+      user: req.user._id,
+      community: community._id,
+      status: 'pending'
+    });
+    if (pending) {
+      return res.status(400).json({ message: 'You already have a pending role request' });
+    }
+    
+    const request = await RoleRequest.create({
+      user: req.user._id,
+      community: community._id,
+      role,
+      justification
+    });
+    
+    res.status(201).json(request);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// My role requests in this community
+router.get('/:communityId/role-requests/mine', [isAuthenticated, isCommunityMember], async (req, res) => {
+  try {
+    const requests = await RoleRequest.find({
+      user: req.user._id,
+      community: req.community._id
+    })
+      .populate('reviewedBy', 'name')
+      .sort('-createdAt');
+    
+    res.json(requests);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// List role requests (moderators only)
+router.get('/:communityId/role-requests', [isAuthenticated, isCommunityMember], async (req, res) => {
+  try {
+    if (!req.community.isModerator(req.user._id)) {
+      return res.status(403).json({ message: 'Only moderators can view role requests' });
+    }
+    
+    const { status = 'pending' } = req.query;
+    
+    const requests = await RoleRequest.find({ community: req.community._id, status })
+      .populate('user', 'name email profilePicture')
+      .populate('reviewedBy', 'name')
+      .sort('createdAt');
+    
+    res.json(requests);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Approve or reject a role request (moderators only)
+router.put('/:communityId/role-requests/:requestId', [
+  isAuthenticated,
+  body('decision').isIn(['approve', 'reject']).withMessage('Decision must be approve or reject'),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note must be less than 500 characters'),
+  handleValidationErrors,
+  isCommunityMember
+], async (req, res) => {
+  try {
+    const community = req.community;
+    
+    if (!community.isModerator(req.user._id)) {
+      return res.status(403).json({ message: 'Only moderators can review role requests' });
+    }
+    
+    const request = await RoleRequest.findOne({
+      _id: req.params.requestId,
+      community: community._id
+    });
+    
+    if (!request) {
+      return res.status(404).json({ message: 'Role request not found' });
+    }
+    
+    if (request.status !== 'pending') {
+      return res.status(400).json({ message: `Request was already ${request.status}` });
+    }
+    
+    if (request.user.equals(req.user._id)) {
+      return res.status(403).json({ message: 'You cannot review your own request' });
+    }
+    
+    if (req.body.decision === 'approve') {
+      // The requester may have left in the meantime
+      if (!community.members.some(member => member.equals(request.user))) {
+        return res.status(400).json({ message: 'User is no longer a member of this community' });
+      }
+      
+      community.setMemberRole(request.user, request.role, req.user._id);
+      await community.save();
+    }
+    
+    request.status = req.body.decision === 'approve' ? 'approved' : 'rejected';
+    request.reviewedBy = req.user._id;
+    request.reviewedAt = Date.now();
+    request.reviewNote = req.body.note;
+    await request.save();
+    
+    res.json(request);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Cancel my pending role request
+router.delete('/:communityId/role-requests/:requestId', [isAuthenticated, isCommunityMember], async (req, res) => {
+  try {
+    const request = await RoleRequest.findOne({
+      _id: req.params.requestId,
+      community: req.community._id,
+      user: req.user._id,
+      status: 'pending'
+    });
+    
+    if (!request) {
+      return res.status(404).json({ message: 'Role request not found' });
+    }
+    
+    request.status = 'cancelled';
+    await request.save();
+    
+    res.json({ message: 'Role request cancelled' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Reset a member back to student (moderators only)
+router.delete('/:communityId/roles/:userId', [isAuthenticated, isCommunityMember], async (req, res) => {
+  try {
+    const community = req.community;
+    
+    if (!community.isModerator(req.user._id)) {
+      return res.status(403).json({ message: 'Only moderators can change member roles' });
+    }
+    
+    community.setMemberRole(req.params.userId, 'student');
+    await community.save();
+    
+    res.json({ message: 'Role removed' });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
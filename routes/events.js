@@ -1,14 +1,32 @@
 const router = require('express').Router();
 const { body, validationResult } = require('express-validator');
 const Event = require('../models/Event');
-const { isAuthenticated, isCommunityMember } = require('../middleware/auth');
-const { mediaUpload } = require('../utils/cloudinary');
+const Community = require('../models/Community');
+const { isAuthenticated, requireScope, requireVerifiedEmail, isCommunityMember, canViewCommunity, rejectArchived } = require('../middleware/auth');
+const { resolveChannel, visibleChannelsFilter } = require('../middleware/channels');
+const { requirePermission } = require('../middleware/permissions');
+const { authorizeResource } = require('../middleware/policy');
+const { mediaUpload, discardUploadsOnRejection } = require('../utils/cloudinary');
 
 // Get events for a community
-router.get('/community/:communityId', [isAuthenticated, isCommunityMember], async (req, res) => {
+router.get('/community/:communityId', [requireScope('events:read'), canViewCommunity, resolveChannel], async (req, res) => {
   try {
-    const { status = 'upcoming' } = req.query;
-    const query = { community: req.params.communityId };
+    const { status = 'upcoming', inherited } = req.query;
+    let query = {
+      community: req.params.communityId,
+      ...(await visibleChannelsFilter(req.community, req.user._id))
+    };
+    
+    if (req.channel) {
+      query.channel = req.channel._id;
+    } else if (req.community.ancestors.length > 0 && inherited !== 'false') {
+      // Events from parent communities marked to cascade (channel events stay local)
+      query = { $or: [query, {
+        community: { $in: req.community.ancestors },
+        cascadeToChildren: true,
+        channel: null
+      }] };
+    }
     
     const now = new Date();
     if (status === 'upcoming') {
@@ -30,12 +48,15 @@ router.get('/community/:communityId', [isAuthenticated, isCommunityMember], asyn
 
 // Create event
 router.post('/create', [
-  isAuthenticated,
+  requireScope('events:write'),
+  requireVerifiedEmail,
   mediaUpload.single('coverImage'),
+  discardUploadsOnRejection,
   body('title').trim().isLength({ min: 3 }).withMessage('Title is required'),
   body('description').trim().isLength({ min: 10 }).withMessage('Description is required'),
   body('date').isISO8601().withMessage('Valid date required'),
   body('communityId').isMongoId().withMessage('Valid community ID required'),
+  body('cascadeToChildren').optional().isBoolean().withMessage('cascadeToChildren must be true or false').toBoolean(),
   (req, res, next) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -43,10 +64,17 @@ router.post('/create', [
     }
     next();
   },
-  isCommunityMember
+  isCommunityMember,
+  rejectArchived(),
+  requirePermission('createEvent'),
+  resolveChannel
 ], async (req, res) => {
   try {
-    const { title, description, date, endDate, location } = req.body;
+    const { title, description, date, endDate, location, cascadeToChildren = false } = req.body;
+    
+    if (cascadeToChildren && !req.community.isModerator(req.user._id)) {
+      return res.status(403).json({ message: 'Only moderators can share events with sub-communities' });
+    }
     
     const event = new Event({
       title,
@@ -55,7 +83,9 @@ router.post('/create', [
       endDate,
       location,
       community: req.community._id,
+      channel: req.channel?._id,
       createdBy: req.user._id,
+      cascadeToChildren,
       coverImage: req.file ? req.file.path : undefined,
       attendees: [{
         user: req.user._id,
@@ -64,6 +94,7 @@ router.post('/create', [
     });
     
     await event.save();
+    await Community.recordActivity(req.community._id);
     await event.populate('createdBy', 'name email profilePicture');
     
     res.status(201).json(event);
@@ -72,15 +103,14 @@ router.post('/create', [
   }
 });
 
-// Update attendance status
-router.post('/:eventId/attendance', isAuthenticated, async (req, res) => {
+// Update attendance status. Members of sub-communities can respond to events cascaded to them.
+router.post('/:eventId/attendance', [
+  isAuthenticated,
+  authorizeResource(Event, 'eventId', { allowDescendantMembers: event => event.cascadeToChildren })
+], async (req, res) => {
   try {
     const { status } = req.body;
-    const event = await Event.findById(req.params.eventId);
-    
-    if (!event) {
-      return res.status(404).json({ message: 'Event not found' });
-    }
+    const event = req.resource;
     
     const attendeeIndex = event.attendees.findIndex(
       a => a.user.toString() === req.user._id.toString()
@@ -103,13 +133,13 @@ router.post('/:eventId/attendance', isAuthenticated, async (req, res) => {
 });
 
 // Add/update todo item
-router.post('/:eventId/todo', isAuthenticated, async (req, res) => {
+router.post('/:eventId/todo', isAuthenticated, authorizeResource(Event, 'eventId'), async (req, res) => {
   try {
     const { task, assignedTo } = req.body;
-    const event = await Event.findById(req.params.eventId);
+    const event = req.resource;
     
-    if (!event) {
-      return res.status(404).json({ message: 'Event not found' });
+    if (assignedTo && !req.community.members.some(member => member.toString() === String(assignedTo))) {
+      return res.status(400).json({ message: 'Todos can only be assigned to community members' });
     }
     
     event.todoList.push({
@@ -126,13 +156,9 @@ router.post('/:eventId/todo', isAuthenticated, async (req, res) => {
 });
 
 // Toggle todo completion
-router.put('/:eventId/todo/:todoId', isAuthenticated, async (req, res) => {
+router.put('/:eventId/todo/:todoId', isAuthenticated, authorizeResource(Event, 'eventId'), async (req, res) => {
   try {
-    const event = await Event.findById(req.params.eventId);
-    
-    if (!event) {
-      return res.status(404).json({ message: 'Event not found' });
-    }
+    const event = req.resource;
     
     const todo = event.todoList.id(req.params.todoId);
     if (!todo) {
@@ -2,23 +2,22 @@ const router = require('express').Router();
 const { body, validationResult } = require('express-validator');
 const Expense = require('../models/Expense');
 const Event = require('../models/Event');
-const { isAuthenticated, isCommunityMember } = require('../middleware/auth');
-const { mediaUpload } = require('../utils/cloudinary');
+const Community = require('../models/Community');
+const { isAuthenticated, requireScope, requireVerifiedEmail, isCommunityMember, rejectArchived } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { authorizeResource, authorizeQuery } = require('../middleware/policy');
+const { mediaUpload, discardUploadsOnRejection } = require('../utils/cloudinary');
 
 // Get expenses for a community or event
-router.get('/', isAuthenticated, async (req, res) => {
+router.get('/', isAuthenticated, authorizeQuery(), async (req, res) => {
   try {
-    const { communityId, eventId } = req.query;
-    const query = {};
-    
-    if (eventId) {
-      query.event = eventId;
-    } else if (communityId) {
-      query.community = communityId;
-    } else {
+    if (!req.community) {
       return res.status(400).json({ message: 'Community or event ID required' });
     }
     
+    const query = { community: req.community._id };
+    if (req.event) query.event = req.event._id;
+    
     const expenses = await Expense.find(query)
       .populate('paidBy', 'name email')
       .populate('splitBetween.user', 'name email')
@@ -32,12 +31,15 @@ router.get('/', isAuthenticated, async (req, res) => {
 
 // Create expense
 router.post('/create', [
-  isAuthenticated,
+  requireScope('expenses:write'),
+  requireVerifiedEmail,
   mediaUpload.single('receipt'),
+  discardUploadsOnRejection,
   body('title').trim().notEmpty().withMessage('Title is required'),
   body('amount').isFloat({ min: 0 }).withMessage('Valid amount required'),
   body('category').isIn(['food', 'transport', 'accommodation', 'entertainment', 'other']),
   body('communityId').isMongoId().withMessage('Valid community ID required'),
+  body('eventId').optional({ values: 'falsy' }).isMongoId().withMessage('Valid event ID required'),
   (req, res, next) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -45,14 +47,28 @@ router.post('/create', [
     }
     next();
   },
-  isCommunityMember
+  isCommunityMember,
+  rejectArchived(),
+  requirePermission('createExpense')
 ], async (req, res) => {
   try {
     const { title, amount, category, splitBetween, eventId, notes } = req.body;
     
+    if (eventId && !(await Event.exists({ _id: eventId, community: req.community._id }))) {
+      return res.status(400).json({ message: 'Event not found in this community' });
+    }
+    
     // Parse splitBetween if it's a string
     const splits = typeof splitBetween === 'string' ? JSON.parse(splitBetween) : splitBetween;
     
+    // Expenses can only be split between members of the community
+    const outsider = (splits || []).find(
+      split => !req.community.members.some(member => member.toString() === String(split.user))
+    );
+    if (outsider) {
+      return res.status(400).json({ message: 'Expenses can only be split between community members' });
+    }
+    
     const expense = new Expense({
       title,
       amount: parseFloat(amount),
@@ -65,6 +81,7 @@ router.post('/create', [
       notes
     });
     await expense.save();
+    await Community.recordActivity(req.community._id);
     
     // If associated with an event, add to event's expenses
     if (eventId) {
@@ -83,17 +100,15 @@ router.post('/create', [
 });
 
 // Get expense summary for a user
-router.get('/summary', isAuthenticated, async (req, res) => {
+router.get('/summary', isAuthenticated, authorizeQuery(), async (req, res) => {
   try {
-    const { communityId, eventId } = req.query;
     const userId = req.user._id;
-    const query = {};
     
-    if (eventId) {
-      query.event = eventId;
-    } else if (communityId) {
-      query.community = communityId;
-    }
+    // Without a filter, only expenses the user is part of
+    const query = req.community
+      ? { community: req.community._id }
+      : { $or: [{ paidBy: userId }, { 'splitBetween.user': userId }] };
+    if (req.event) query.event = req.event._id;
     
     const expenses = await Expense.find(query);
     
@@ -141,13 +156,9 @@ router.get('/summary', isAuthenticated, async (req, res) => {
 });
 
 // Mark expense as paid
-router.put('/:expenseId/pay/:userId', isAuthenticated, async (req, res) => {
+router.put('/:expenseId/pay/:userId', isAuthenticated, authorizeResource(Expense, 'expenseId'), async (req, res) => {
   try {
-    const expense = await Expense.findById(req.params.expenseId);
-    
-    if (!expense) {
-      return res.status(404).json({ message: 'Expense not found' });
-    }
+    const expense = req.resource;
     
     // Find the split for the user
     const split = expense.splitBetween.find(
@@ -173,17 +184,9 @@ router.put('/:expenseId/pay/:userId', isAuthenticated, async (req, res) => {
 });
 
 // Delete expense (only by creator)
-router.delete('/:expenseId', isAuthenticated, async (req, res) => {
+router.delete('/:expenseId', isAuthenticated, authorizeResource(Expense, 'expenseId', { owner: 'paidBy' }), async (req, res) => {
   try {
-    const expense = await Expense.findById(req.params.expenseId);
-    
-    if (!expense) {
-      return res.status(404).json({ message: 'Expense not found' });
-    }
-    
-    if (!expense.paidBy.equals(req.user._id)) {
-      return res.status(403).json({ message: 'Only the creator can delete this expense' });
-    }
+    const expense = req.resource;
     
     // Remove from event if associated
     if (expense.event) {
@@ -0,0 +1,442 @@
+const router = require('express').Router();
+const { body, validationResult } = require('express-validator');
+const crypto = require('crypto');
+const Institution = require('../models/Institution');
+const Community = require('../models/Community');
+const User = require('../models/User');
+const { isAuthenticated, isRole, requireVerifiedEmail } = require('../middleware/auth');
+const { throttle, recordFailedAttempt } = require('../middleware/throttle');
+const { sendInstitutionVerificationEmail } = require('../utils/email');
+const { randomCode } = require('../utils/codes');
+const { recordAuditEvent } = require('../utils/auditLog');
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+const VERIFICATION_RESEND_COOLDOWN = 60 * 1000; // 1 minute
+
+// Platform admins and the institution's own admins
+const canManage = (institution, user) => user.role === 'admin' || institution.isAdmin(user._id);
+
+// URL-friendly unique slug from the institution name
+const generateSlug = async (name) => {
+  const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').substring(0, 40) || 'institution';
+  if (!(await Institution.exists({ slug: base }))) return base;
+  return `${base}-${randomCode(4).toLowerCase()}`;
+};
+
+// Load the institution named in the URL
+const loadInstitution = async (req, res, next) => {
+  try {
+    const institution = await Institution.findById(req.params.institutionId);
+    if (!institution) {
+      return res.status(404).json({ message: 'Institution not found' });
+    }
+    req.institution = institution;
+    next();
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+const domainValidators = [
+  body('emailDomains').isArray({ min: 1 }).withMessage('At least one email domain is required'),
+  body('emailDomains.*').isFQDN().withMessage('Email domains must look like college.edu')
+];
+
+// Add a verified membership, replacing any earlier one for the same institution
+const addMembership = (user, institutionId, email) => {
+  user.institutions = (user.institutions || []).filter(m => !m.institution.equals(institutionId));
+  user.institutions.push({ institution: institutionId, email, verifiedAt: Date.now() });
+};
+
+// ========== MEMBERSHIP VERIFICATION ==========
+
+// Confirm an institution email from the link we sent
+router.get('/verify/:token', throttle('verify-email'), async (req, res) => {
+  try {
+    const hashedToken = crypto
+      .createHash('sha256')
+      .update(req.params.token)
+      .digest('hex');
+
+    const user = await User.findOne({
+      'institutionVerification.token': hashedToken,
+      'institutionVerification.expires': { $gt: Date.now() }
+    });
+
+    if (!user) {
+      await recordFailedAttempt(req, 'verify-email');
+      return res.status(400).json({ message: 'Invalid or expired token' });
+    }
+
+    const { institution, email } = user.institutionVerification;
+
+    // Another account may have confirmed the same address since this link was sent
+    const usedBy = await User.exists({ _id: { $ne: user._id }, 'institutions.email': email });
+    if (usedBy) {
+      user.institutionVerification = undefined;
+      await user.save();
+      return res.status(400).json({ message: 'This email is already verified on another account' });
+    }
+
+    addMembership(user, institution, email);
+    user.institutionVerification = undefined;
+    await user.save();
+
+    await recordAuditEvent(req, 'institution_verified', { user, details: { institution, email } });
+
+    res.json({ message: 'Institution email verified successfully', institution });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// ========== INSTITUTIONS ==========
+
+// List/search institutions
+router.get('/', isAuthenticated, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, search } = req.query;
+    const query = {};
+
+    if (search) {
+      query.name = new RegExp(String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    }
+
+    const institutions = await Institution.find(query)
+      .select('name slug emailDomains website')
+      .sort('name')
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Institution.countDocuments(query);
+
+    res.json({
+      institutions,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Institutions I'm a verified member of
+router.get('/mine', isAuthenticated, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .populate('institutions.institution', 'name slug website');
+
+    res.json(user.institutions);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Institution details
+router.get('/:institutionId', isAuthenticated, loadInstitution, async (req, res) => {
+  try {
+    const institution = req.institution;
+    await institution.populate('admins', 'name profilePicture');
+
+    const [officialCommunities, communities] = await Promise.all([
+      Community.countDocuments({ institution: institution._id, isOfficial: true }),
+      Community.countDocuments({ institution: institution._id })
+    ]);
+
+    res.json({
+      ...institution.toObject(),
+      communityCount: communities,
+      officialCommunityCount: officialCommunities,
+      isMember: req.user.isInstitutionMember(institution._id),
+      canManage: canManage(institution, req.user)
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Create an institution (platform admins only)
+router.post('/', [
+  isAuthenticated,
+  isRole('admin'),
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters'),
+  ...domainValidators,
+  body('website').optional().trim().isURL().withMessage('Valid URL required'),
+  body('admins').optional().isArray().withMessage('admins must be a list of user IDs'),
+  body('admins.*').isMongoId().withMessage('Valid user IDs required'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { name, emailDomains, website, admins = [] } = req.body;
+
+    const taken = await Institution.findOne({ emailDomains: { $in: emailDomains.map(d => d.toLowerCase()) } });
+    if (taken) {
+      return res.status(400).json({ message: `A domain is already used by ${taken.name}` });
+    }
+
+    const institution = await Institution.create({
+      name,
+      slug: await generateSlug(name),
+      emailDomains,
+      website,
+      admins: [...new Set(admins)],
+      createdBy: req.user._id
+    });
+
+    res.status(201).json(institution);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Update name, domains or website
+router.put('/:institutionId', [
+  isAuthenticated,
+  loadInstitution,
+  body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters'),
+  body('emailDomains').optional().isArray({ min: 1 }).withMessage('At least one email domain is required'),
+  body('emailDomains.*').isFQDN().withMessage('Email domains must look like college.edu'),
+  body('website').optional().trim().isURL().withMessage('Valid URL required'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const institution = req.institution;
+
+    if (!canManage(institution, req.user)) {
+      return res.status(403).json({ message: 'Only institution admins can edit the institution' });
+    }
+
+    const { name, emailDomains, website } = req.body;
+
+    if (emailDomains) {
+      const taken = await Institution.findOne({
+        _id: { $ne: institution._id },
+        emailDomains: { $in: emailDomains.map(d => d.toLowerCase()) }
+      });
+      if (taken) {
+        return res.status(400).json({ message: `A domain is already used by ${taken.name}` });
+      }
+      institution.emailDomains = emailDomains;
+    }
+    if (name !== undefined) institution.name = name;
+    if (website !== undefined) institution.website = website;
+
+    await institution.save();
+
+    res.json(institution);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Delete an institution. Its communities stay but lose the institution link. (platform admins only)
+router.delete('/:institutionId', [isAuthenticated, isRole('admin'), loadInstitution], async (req, res) => {
+  try {
+    const institution = req.institution;
+
+    await Community.updateMany(
+      { institution: institution._id },
+      { $unset: { institution: '' }, isOfficial: false, 'settings.institutionOnly': false }
+    );
+    await User.updateMany(
+      { 'institutions.institution': institution._id },
+      { $pull: { institutions: { institution: institution._id } } }
+    );
+    await institution.deleteOne();
+
+    res.json({ message: 'Institution deleted' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Add an institution admin
+router.post('/:institutionId/admins', [
+  isAuthenticated,
+  loadInstitution,
+  body('userId').isMongoId().withMessage('Valid user ID required'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const institution = req.institution;
+
+    if (!canManage(institution, req.user)) {
+      return res.status(403).json({ message: 'Only institution admins can add admins' });
+    }
+
+    const user = await User.findById(req.body.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Admins act for the institution, so they must be verified members
+    if (!user.isInstitutionMember(institution._id)) {
+      return res.status(400).json({ message: 'User must verify an institution email first' });
+    }
+
+    if (!institution.isAdmin(user._id)) {
+      institution.admins.push(user._id);
+      await institution.save();
+    }
+
+    res.json({ message: 'Admin added', admins: institution.admins });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Remove an institution admin
+router.delete('/:institutionId/admins/:userId', [isAuthenticated, loadInstitution], async (req, res) => {
+  try {
+    const institution = req.institution;
+
+    if (!canManage(institution, req.user)) {
+      return res.status(403).json({ message: 'Only institution admins can remove admins' });
+    }
+
+    institution.admins = institution.admins.filter(admin => !admin.equals(req.params.userId));
+    await institution.save();
+
+    res.json({ message: 'Admin removed', admins: institution.admins });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Prove membership with an institution email address. If it is the account's own
+// verified email this happens right away, otherwise a verification link is emailed.
+router.post('/:institutionId/verify', [
+  isAuthenticated,
+  loadInstitution,
+  body('email').isEmail().normalizeEmail().withMessage('Valid email required'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const institution = req.institution;
+    const { email } = req.body;
+
+    if (!institution.ownsEmail(email)) {
+      return res.status(400).json({
+        message: `Use an email address ending in ${institution.emailDomains.map(d => '@' + d).join(' or ')}`
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (user.isInstitutionMember(institution._id)) {
+      return res.status(400).json({ message: 'You are already a verified member' });
+    }
+
+    // One institution address can only vouch for one account
+    const usedBy = await User.exists({ _id: { $ne: user._id }, 'institutions.email': email });
+    if (usedBy) {
+      return res.status(400).json({ message: 'This email is already verified on another account' });
+    }
+
+    if (email === user.email && user.isEmailVerified) {
+      addMembership(user, institution._id, email);
+      await user.save();
+      await recordAuditEvent(req, 'institution_verified', { user, details: { institution: institution._id, email } });
+      return res.json({ message: 'Institution membership verified', verified: true });
+    }
+
+    const sentAt = user.institutionVerification?.sentAt?.getTime() || 0;
+    const waitMs = sentAt + VERIFICATION_RESEND_COOLDOWN - Date.now();
+    if (waitMs > 0) {
+      const retryAfter = Math.ceil(waitMs / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        message: `Please wait ${retryAfter} seconds before requesting another email`,
+        retryAfter
+      });
+    }
+
+    const token = user.createInstitutionVerificationToken(institution._id, email);
+    await user.save();
+
+    await sendInstitutionVerificationEmail(email, institution.name, token);
+
+    res.status(202).json({ message: `Verification email sent to ${email}`, verified: false });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Drop my membership of an institution
+router.delete('/:institutionId/membership', [isAuthenticated, loadInstitution], async (req, res) => {
+  try {
+    await User.updateOne(
+      { _id: req.user._id },
+      { $pull: { institutions: { institution: req.institution._id } } }
+    );
+
+    res.json({ message: 'Institution membership removed' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// ========== OFFICIAL COMMUNITIES ==========
+
+// Create an official community for the institution (institution admins only)
+router.post('/:institutionId/communities', [
+  isAuthenticated,
+  requireVerifiedEmail,
+  loadInstitution,
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Name is required')
+    .isLength({ min: 3, max: 50 }).withMessage('Name must be 3-50 characters'),
+  body('description')
+    .trim()
+    .notEmpty().withMessage('Description is required')
+    .isLength({ min: 10, max: 500 }).withMessage('Description must be 10-500 characters'),
+  body('type')
+    .notEmpty().withMessage('Type is required')
+    .isIn(['academic', 'chillout']).withMessage('Invalid community type'),
+  body('institutionOnly').optional().isBoolean().withMessage('institutionOnly must be true or false'),
+  body('isPrivate').optional().isBoolean().withMessage('isPrivate must be true or false'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const institution = req.institution;
+
+    if (!institution.isAdmin(req.user._id)) {
+      return res.status(403).json({ message: 'Only institution admins can create official communities' });
+    }
+
+    const { name, description, type, institutionOnly = true, isPrivate = false } = req.body;
+
+    const community = new Community({
+      name,
+      description,
+      type,
+      creator: req.user._id,
+      moderators: [req.user._id],
+      members: [req.user._id],
+      memberJoins: [{ user: req.user._id }],
+      institution: institution._id,
+      isOfficial: true,
+      settings: { isPrivate, institutionOnly }
+    });
+    await community.saveWithUniqueCode();
+
+    await User.findByIdAndUpdate(req.user._id, {
+      $push: { communities: community._id }
+    });
+
+    res.status(201).json(community);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,15 @@
 const router = require('express').Router();
 const { body, validationResult } = require('express-validator');
 const Media = require('../models/Media');
-const { isAuthenticated, isCommunityMember } = require('../middleware/auth');
-const { mediaUpload } = require('../utils/cloudinary');
+const Event = require('../models/Event');
+const Community = require('../models/Community');
+const { isAuthenticated, requireScope, requireVerifiedEmail, isCommunityMember, canViewCommunity, rejectArchived } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { authorizeResource } = require('../middleware/policy');
+const { mediaUpload, discardUploadsOnRejection, deleteFileByUrl } = require('../utils/cloudinary');
 
 // Get media for a community
-router.get('/community/:communityId', [isAuthenticated, isCommunityMember], async (req, res) => {
+router.get('/community/:communityId', [requireScope('media:read'), canViewCommunity], async (req, res) => {
   try {
     const { page = 1, limit = 20, type } = req.query;
     const query = { community: req.params.communityId };
@@ -34,9 +38,12 @@ router.get('/community/:communityId', [isAuthenticated, isCommunityMember], asyn
 
 // Upload media
 router.post('/upload', [
-  isAuthenticated,
+  requireScope('media:write'),
+  requireVerifiedEmail,
   mediaUpload.array('files', 10), // Max 10 files at once
+  discardUploadsOnRejection,
   body('communityId').isMongoId().withMessage('Valid community ID required'),
+  body('eventId').optional({ values: 'falsy' }).isMongoId().withMessage('Valid event ID required'),
   (req, res, next) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -44,7 +51,9 @@ router.post('/upload', [
     }
     next();
   },
-  isCommunityMember
+  isCommunityMember,
+  rejectArchived(),
+  requirePermission('uploadMedia')
 ], async (req, res) => {
   try {
     const { caption, eventId, tags } = req.body;
@@ -53,6 +62,10 @@ router.post('/upload', [
       return res.status(400).json({ message: 'No files uploaded' });
     }
     
+    if (eventId && !(await Event.exists({ _id: eventId, community: req.community._id }))) {
+      return res.status(400).json({ message: 'Event not found in this community' });
+    }
+    
     const mediaItems = [];
     
     for (const file of req.files) {
@@ -70,6 +83,8 @@ router.post('/upload', [
       mediaItems.push(media);
     }
     
+    await Community.recordActivity(req.community._id);
+    
     res.status(201).json(mediaItems);
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -77,13 +92,9 @@ router.post('/upload', [
 });
 
 // Like/unlike media
-router.post('/:mediaId/like', isAuthenticated, async (req, res) => {
+router.post('/:mediaId/like', isAuthenticated, authorizeResource(Media, 'mediaId'), async (req, res) => {
   try {
-    const media = await Media.findById(req.params.mediaId);
-    
-    if (!media) {
-      return res.status(404).json({ message: 'Media not found' });
-    }
+    const media = req.resource;
     
     const userId = req.user._id;
     const likeIndex = media.likes.indexOf(userId);
@@ -107,6 +118,7 @@ router.post('/:mediaId/like', isAuthenticated, async (req, res) => {
 // Add comment to media
 router.post('/:mediaId/comment', [
   isAuthenticated,
+  authorizeResource(Media, 'mediaId', { permission: 'comment' }),
   body('text').trim().notEmpty().withMessage('Comment cannot be empty'),
   (req, res, next) => {
     const errors = validationResult(req);
@@ -117,11 +129,7 @@ router.post('/:mediaId/comment', [
   }
 ], async (req, res) => {
   try {
-    const media = await Media.findById(req.params.mediaId);
-    
-    if (!media) {
-      return res.status(404).json({ message: 'Media not found' });
-    }
+    const media = req.resource;
     
     const comment = {
       user: req.user._id,
@@ -143,13 +151,9 @@ router.post('/:mediaId/comment', [
 });
 
 // Delete comment (comment author only)
-router.delete('/:mediaId/comment/:commentId', isAuthenticated, async (req, res) => {
+router.delete('/:mediaId/comment/:commentId', isAuthenticated, authorizeResource(Media, 'mediaId'), async (req, res) => {
   try {
-    const media = await Media.findById(req.params.mediaId);
-    
-    if (!media) {
-      return res.status(404).json({ message: 'Media not found' });
-    }
+    const media = req.resource;
     
     const comment = media.comments.id(req.params.commentId);
     if (!comment) {
@@ -170,24 +174,15 @@ router.delete('/:mediaId/comment/:commentId', isAuthenticated, async (req, res)
 });
 
 // Delete media (uploader or moderator only)
-router.delete('/:mediaId', isAuthenticated, async (req, res) => {
+router.delete('/:mediaId', [
+  isAuthenticated,
+  authorizeResource(Media, 'mediaId', { owner: 'uploadedBy', moderators: true })
+], async (req, res) => {
   try {
-    const media = await Media.findById(req.params.mediaId).populate('community');
-    
-    if (!media) {
-      return res.status(404).json({ message: 'Media not found' });
-    }
-    
-    const isModerator = media.community.moderators.includes(req.user._id);
-    const isUploader = media.uploadedBy.equals(req.user._id);
-    
-    if (!isModerator && !isUploader) {
-      return res.status(403).json({ message: 'Permission denied' });
-    }
+    const media = req.resource;
     
     // Delete from cloudinary
-    const publicId = media.url.split('/').pop().split('.')[0];
-    await cloudinary.uploader.destroy(`batchhub/media/${publicId}`);
+    await deleteFileByUrl(media.url);
     
     await media.deleteOne();
     res.json({ message: 'Media deleted successfully' });
@@ -0,0 +1,496 @@
+const router = require('express').Router();
+const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const { isAuthenticated, requireVerifiedEmail } = require('../middleware/auth');
+const { messageUpload, discardUploadsOnRejection } = require('../utils/cloudinary');
+const { deleteFiles } = require('../utils/communityDeletion');
+
+// Largest group conversation, including the creator
+const MAX_GROUP_SIZE = 10;
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+const sharesCommunity = (user, other) => {
+  const communities = (user.communities || []).map(id => id.toString());
+  return (other.communities || []).some(id => communities.includes(id.toString()));
+};
+
+// Why `sender` can't start a conversation with `recipient`, or null if they can
+const getMessagingError = (sender, recipient) => {
+  if (sender.hasBlockedOrIsBlockedBy(recipient)) {
+    return `You cannot message ${recipient.name}`;
+  }
+  if (recipient.privacy && recipient.privacy.allowMessaging === false) {
+    return `${recipient.name} is not accepting messages`;
+  }
+  if (!sharesCommunity(sender, recipient)) {
+    return `You can only message people who share a community with you`;
+  }
+  return null;
+};
+
+// Unread messages in a conversation for the given user
+const countUnread = (conversation, userId) => {
+  return Message.countDocuments({
+    conversation: conversation._id,
+    sender: { $ne: userId },
+    createdAt: { $gt: conversation.getLastReadAt(userId) }
+  });
+};
+
+// Load the conversation and make sure the current user takes part in it
+const loadConversation = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.conversationId)) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    const conversation = await Conversation.findById(req.params.conversationId);
+
+    if (!conversation || !conversation.isParticipant(req.user._id)) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    req.conversation = conversation;
+    next();
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Runs before the upload so rejected messages never reach Cloudinary
+const canSendMessage = async (req, res, next) => {
+  try {
+    const conversation = req.conversation;
+    const otherIds = conversation.participants.filter(p => !p.equals(req.user._id));
+
+    // Blocks apply in groups too: nobody can post to a group that includes someone they blocked or who blocked them
+    if (conversation.isGroup) {
+      const others = await User.find({ _id: { $in: otherIds } }).select('name blockedUsers');
+      const blocked = others.find(other => req.user.hasBlockedOrIsBlockedBy(other));
+      if (blocked) {
+        return res.status(403).json({ message: `You cannot message ${blocked.name}` });
+      }
+      return next();
+    }
+
+    const other = otherIds.length > 0 && await User.findById(otherIds[0]).select('name communities privacy blockedUsers');
+
+    if (!other) {
+      return res.status(403).json({ message: 'This conversation has ended' });
+    }
+
+    if (req.user.hasBlockedOrIsBlockedBy(other)) {
+      return res.status(403).json({ message: `You cannot message ${other.name}` });
+    }
+
+    if (other.privacy && other.privacy.allowMessaging === false) {
+      return res.status(403).json({ message: `${other.name} is not accepting messages` });
+    }
+
+    // Checked on every message, not just when the conversation started
+    if (!sharesCommunity(req.user, other)) {
+      return res.status(403).json({ message: 'You can only message people who share a community with you' });
+    }
+
+    next();
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// ========== CONVERSATIONS ==========
+
+// My conversations, most recent first, with unread counts
+router.get('/conversations', isAuthenticated, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const query = { participants: req.user._id };
+
+    const conversations = await Conversation.find(query)
+      .populate('participants', 'name profilePicture')
+      .sort('-lastMessageAt')
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Conversation.countDocuments(query);
+
+    const results = await Promise.all(conversations.map(async (conversation) => ({
+      ...conversation.toObject(),
+      readState: undefined,
+      unreadCount: await countUnread(conversation, req.user._id)
+    })));
+
+    res.json({
+      conversations: results,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Total unread messages across all conversations
+router.get('/unread-count', isAuthenticated, async (req, res) => {
+  try {
+    const conversations = await Conversation.find({ participants: req.user._id })
+      .select('readState');
+
+    const counts = await Promise.all(
+      conversations.map(conversation => countUnread(conversation, req.user._id))
+    );
+
+    res.json({
+      unreadCount: counts.reduce((sum, count) => sum + count, 0),
+      unreadConversations: counts.filter(count => count > 0).length
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Start a conversation (one-to-one or a small group)
+router.post('/conversations', [
+  isAuthenticated,
+  requireVerifiedEmail,
+  body('participantIds')
+    .isArray({ min: 1, max: MAX_GROUP_SIZE - 1 })
+    .withMessage(`Choose between 1 and ${MAX_GROUP_SIZE - 1} people`),
+  body('participantIds.*').isMongoId().withMessage('Valid user IDs required'),
+  body('name').optional().trim().isLength({ max: 50 }).withMessage('Name cannot exceed 50 characters'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const participantIds = [...new Set(req.body.participantIds)]
+      .filter(id => id !== req.user._id.toString());
+
+    if (participantIds.length === 0) {
+      return res.status(400).json({ message: 'You cannot start a conversation with yourself' });
+    }
+
+    const others = await User.find({ _id: { $in: participantIds } })
+      .select('name communities privacy blockedUsers');
+
+    if (others.length !== participantIds.length) {
+      return res.status(404).json({ message: 'One or more users not found' });
+    }
+
+    for (const other of others) {
+      const error = getMessagingError(req.user, other);
+      if (error) {
+        return res.status(403).json({ message: error });
+      }
+    }
+
+    const isGroup = others.length > 1;
+
+    // Reuse an existing one-to-one conversation
+    if (!isGroup) {
+      const existing = await Conversation.findOne({
+        isGroup: false,
+        participants: { $all: [req.user._id, others[0]._id], $size: 2 }
+      });
+
+      if (existing) {
+        await existing.populate('participants', 'name profilePicture');
+        return res.json(existing);
+      }
+    }
+
+    const conversation = new Conversation({
+      participants: [req.user._id, ...others.map(other => other._id)],
+      isGroup,
+      name: isGroup ? req.body.name : undefined,
+      createdBy: req.user._id,
+      readState: [{ user: req.user._id, lastReadAt: Date.now() }]
+    });
+
+    await conversation.save();
+    await conversation.populate('participants', 'name profilePicture');
+
+    res.status(201).json(conversation);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Add people to a group conversation
+router.post('/conversations/:conversationId/participants', [
+  isAuthenticated,
+  loadConversation,
+  body('participantIds').isArray({ min: 1 }).withMessage('Choose at least one person'),
+  body('participantIds.*').isMongoId().withMessage('Valid user IDs required'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const conversation = req.conversation;
+
+    if (!conversation.isGroup) {
+      return res.status(400).json({ message: 'People can only be added to group conversations' });
+    }
+
+    const newIds = [...new Set(req.body.participantIds)]
+      .filter(id => !conversation.isParticipant(id));
+
+    if (conversation.participants.length + newIds.length > MAX_GROUP_SIZE) {
+      return res.status(400).json({ message: `Groups are limited to ${MAX_GROUP_SIZE} people` });
+    }
+
+    const others = await User.find({ _id: { $in: newIds } })
+      .select('name communities privacy blockedUsers');
+
+    if (others.length !== newIds.length) {
+      return res.status(404).json({ message: 'One or more users not found' });
+    }
+
+    for (const other of others) {
+      const error = getMessagingError(req.user, other);
+      if (error) {
+        return res.status(403).json({ message: error });
+      }
+    }
+
+    // Newcomers must not have blocked, or be blocked by, anyone already in the group or joining with them
+    const members = await User.find({
+      _id: { $in: conversation.participants.filter(p => !p.equals(req.user._id)) }
+    }).select('name blockedUsers');
+
+    for (const other of others) {
+      const conflict = [...members, ...others].find(person =>
+        !person._id.equals(other._id) && other.hasBlockedOrIsBlockedBy(person)
+      );
+      if (conflict) {
+        return res.status(403).json({ message: `${other.name} cannot be added to this conversation` });
+      }
+    }
+
+    conversation.participants.push(...others.map(other => other._id));
+    await conversation.save();
+    await conversation.populate('participants', 'name profilePicture');
+
+    res.json(conversation);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Leave a group conversation
+router.delete('/conversations/:conversationId/leave', isAuthenticated, loadConversation, async (req, res) => {
+  try {
+    const conversation = req.conversation;
+
+    if (!conversation.isGroup) {
+      return res.status(400).json({ message: 'You can only leave group conversations' });
+    }
+
+    conversation.participants = conversation.participants.filter(p => !p.equals(req.user._id));
+    conversation.readState = conversation.readState.filter(r => !r.user.equals(req.user._id));
+
+    // Last one out removes the conversation
+    if (conversation.participants.length === 0) {
+      const messages = await Message.find({ conversation: conversation._id }).select('attachments');
+      await deleteFiles(messages.flatMap(message => message.attachments.map(a => a.url)));
+      await Message.deleteMany({ conversation: conversation._id });
+      await conversation.deleteOne();
+    } else {
+      await conversation.save();
+    }
+
+    res.json({ message: 'Left conversation' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Mark a conversation as read
+router.put('/conversations/:conversationId/read', isAuthenticated, loadConversation, async (req, res) => {
+  try {
+    req.conversation.markRead(req.user._id);
+    await req.conversation.save();
+
+    res.json({ message: 'Conversation marked as read' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// ========== MESSAGES ==========
+
+// Message history, newest page first. Pass ?before=<messageId> for older messages.
+router.get('/conversations/:conversationId/messages', isAuthenticated, loadConversation, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 30, 100);
+    const query = { conversation: req.conversation._id };
+
+    if (req.query.before) {
+      if (!mongoose.isValidObjectId(req.query.before)) {
+        return res.status(400).json({ message: 'Invalid cursor' });
+      }
+      const cursor = await Message.findById(req.query.before).select('createdAt');
+      if (cursor) {
+        query.createdAt = { $lt: cursor.createdAt };
+      }
+    }
+
+    const messages = await Message.find(query)
+      .populate('sender', 'name profilePicture')
+      .sort('-createdAt')
+      .limit(limit + 1);
+
+    const hasMore = messages.length > limit;
+    const page = messages.slice(0, limit).reverse();
+
+    res.json({
+      messages: page,
+      hasMore,
+      nextCursor: hasMore ? page[0]._id : null
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Send a message with optional attachments
+router.post('/conversations/:conversationId/messages', [
+  isAuthenticated,
+  requireVerifiedEmail,
+  loadConversation,
+  canSendMessage,
+  messageUpload.array('files', 5),
+  discardUploadsOnRejection,
+  body('content').optional().trim().isLength({ max: 2000 }).withMessage('Message cannot exceed 2000 characters'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const content = req.body.content || '';
+    const files = req.files || [];
+
+    if (!content && files.length === 0) {
+      return res.status(400).json({ message: 'Message must have text or an attachment' });
+    }
+
+    const message = new Message({
+      conversation: req.conversation._id,
+      sender: req.user._id,
+      content,
+      attachments: files.map(file => ({
+        url: file.path,
+        type: file.mimetype.startsWith('image')
+          ? 'image'
+          : file.mimetype.startsWith('video') ? 'video' : 'file',
+        name: file.originalname,
+        size: file.size
+      }))
+    });
+
+    await message.save();
+
+    const conversation = req.conversation;
+    conversation.lastMessage = {
+      content: content ? content.substring(0, 100) : 'Sent an attachment',
+      sender: req.user._id,
+      createdAt: message.createdAt
+    };
+    conversation.lastMessageAt = message.createdAt;
+    conversation.markRead(req.user._id, message.createdAt);
+    await conversation.save();
+
+    await message.populate('sender', 'name profilePicture');
+
+    res.status(201).json(message);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Delete one of my messages
+router.delete('/conversations/:conversationId/messages/:messageId', isAuthenticated, loadConversation, async (req, res) => {
+  try {
+    const message = await Message.findOne({
+      _id: req.params.messageId,
+      conversation: req.conversation._id
+    });
+
+    if (!message) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    if (!message.sender.equals(req.user._id)) {
+      return res.status(403).json({ message: 'You can only delete your own messages' });
+    }
+
+    await deleteFiles(message.attachments.map(a => a.url));
+    await message.deleteOne();
+
+    res.json({ message: 'Message deleted' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// ========== BLOCKING ==========
+
+// People I have blocked
+router.get('/blocked', isAuthenticated, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .populate('blockedUsers', 'name profilePicture');
+
+    res.json(user.blockedUsers);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Block a user from messaging me
+router.post('/blocked/:userId', isAuthenticated, async (req, res) => {
+  try {
+    if (req.params.userId === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot block yourself' });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.userId) || !(await User.exists({ _id: req.params.userId }))) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await User.updateOne(
+      { _id: req.user._id },
+      { $addToSet: { blockedUsers: req.params.userId } }
+    );
+
+    res.json({ message: 'User blocked' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Unblock a user
+router.delete('/blocked/:userId', isAuthenticated, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await User.updateOne(
+      { _id: req.user._id },
+      { $pull: { blockedUsers: req.params.userId } }
+    );
+
+    res.json({ message: 'User unblocked' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
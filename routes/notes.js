@@ -1,16 +1,24 @@
 const router = require('express').Router();
 const { body, validationResult } = require('express-validator');
 const Note = require('../models/Note');
-const User = require('../models/User'); // Add this import
-const { isAuthenticated, isCommunityMember } = require('../middleware/auth');
-const { noteUpload, getFileExtension,getFileUrl } = require('../utils/cloudinary');
+const Community = require('../models/Community');
+const Channel = require('../models/Channel');
+const { isAuthenticated, requireScope, requireVerifiedEmail, isCommunityMember, canViewCommunity, tokenAllowsCommunity, rejectArchived } = require('../middleware/auth');
+const { resolveChannel, visibleChannelsFilter } = require('../middleware/channels');
+const { requirePermission } = require('../middleware/permissions');
+const { authorizeResource } = require('../middleware/policy');
+const { noteUpload, discardUploadsOnRejection, getFileExtension,getFileUrl } = require('../utils/cloudinary');
 
 // Get notes for a community
-router.get('/community/:communityId', [isAuthenticated, isCommunityMember], async (req, res) => {
+router.get('/community/:communityId', [requireScope('notes:read'), canViewCommunity, resolveChannel], async (req, res) => {
   try {
     const { page = 1, limit = 20, subject, semester, search } = req.query;
-    const query = { community: req.params.communityId };
+    const query = {
+      community: req.params.communityId,
+      ...(await visibleChannelsFilter(req.community, req.user._id))
+    };
     
+    if (req.channel) query.channel = req.channel._id;
     if (subject) query.subject = subject;
     if (semester) query.semester = semester;
     if (search) {
@@ -36,13 +44,73 @@ router.get('/community/:communityId', [isAuthenticated, isCommunityMember], asyn
   }
 });
 
+// Notes from a community and all of its sub-communities the user can see
+router.get('/community/:communityId/subtree', [requireScope('notes:read'), canViewCommunity], async (req, res) => {
+  try {
+    const { page = 1, limit = 20, subject, semester, search } = req.query;
+    const root = req.community;
+    const userId = req.user._id;
+    
+    const descendants = await Community.find({ ancestors: root._id })
+      .select('name ancestors creator moderators members');
+    
+    // Moderating a community means moderating everything below it
+    const moderated = new Set(
+      [root, ...descendants]
+        .filter(c => c.creator.equals(userId) || c.moderators.some(mod => mod.equals(userId)))
+        .map(c => c._id.toString())
+    );
+    const rootModerator = root.isModerator(userId);
+    const isModerated = (c) => rootModerator ||
+      moderated.has(c._id.toString()) ||
+      c.ancestors.some(a => moderated.has(a.toString()));
+    
+    const visible = [root, ...descendants.filter(c => isModerated(c) || c.members.some(m => m.equals(userId)))]
+      .filter(c => tokenAllowsCommunity(req, c._id));
+    
+    const hiddenChannels = await Channel.find({
+      community: { $in: visible.filter(c => !isModerated(c)).map(c => c._id) },
+      isRestricted: true,
+      allowedMembers: { $ne: userId }
+    }).distinct('_id');
+    
+    const query = { community: { $in: visible.map(c => c._id) } };
+    if (hiddenChannels.length > 0) query.channel = { $nin: hiddenChannels };
+    if (subject) query.subject = subject;
+    if (semester) query.semester = semester;
+    if (search) {
+      query.$text = { $search: search };
+    }
+    
+    const notes = await Note.find(query)
+      .populate('uploadedBy', 'name email profilePicture')
+      .populate('community', 'name')
+      .sort('-createdAt')
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+    
+    const total = await Note.countDocuments(query);
+    
+    res.json({
+      notes,
+      communities: visible.map(c => ({ _id: c._id, name: c.name })),
+      totalPages: Math.ceil(total / limit),
+      currentPage: page
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 router.post('/upload', [
-  isAuthenticated,
+  requireScope('notes:write'),
+  requireVerifiedEmail,
   (req, res, next) => {
     console.log('📤 Upload attempt started for user:', req.user?.name);
     next();
   },
   noteUpload.single('file'),
+  discardUploadsOnRejection,
   body('title').trim().isLength({ min: 3 }).withMessage('Title is required'),
   body('subject').trim().notEmpty().withMessage('Subject is required'),
   body('communityId').isMongoId().withMessage('Valid community ID required'),
@@ -54,7 +122,10 @@ router.post('/upload', [
     }
     next();
   },
-  isCommunityMember
+  isCommunityMember,
+  rejectArchived(),
+  requirePermission('uploadNote'),
+  resolveChannel
 ], async (req, res) => {
   try {
     console.log('📋 Upload data received:', {
@@ -70,11 +141,6 @@ router.post('/upload', [
     const { title, description, subject, semester, tags } = req.body;
     const community = req.community;
     
-    // Check if students can upload (if this setting exists)
-    if (req.user.role === 'student' && community.settings?.allowStudentUploads === false) {
-      return res.status(403).json({ message: 'Students cannot upload in this community' });
-    }
-    
     if (!req.file) {
       console.log('❌ No file uploaded');
       return res.status(400).json({ message: 'No file uploaded' });
@@ -95,11 +161,13 @@ router.post('/upload', [
       fileType: fileExtension,
       fileSize: req.file.size,
       community: community._id,
+      channel: req.channel?._id,
       uploadedBy: req.user._id,
       tags: tags ? tags.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0) : []
     });
     
     await note.save();
+    await Community.recordActivity(community._id);
     console.log('✅ Note saved successfully:', note._id);
     
     // Populate the response
@@ -116,18 +184,12 @@ router.post('/upload', [
 });
 
 // Download/view note - Updated
-router.get('/:noteId/download', isAuthenticated, async (req, res) => {
+router.get('/:noteId/download', [
+  requireScope('notes:read'),
+  authorizeResource(Note, 'noteId', { access: 'read' })
+], async (req, res) => {
   try {
-    const note = await Note.findById(req.params.noteId).populate('community');
-    if (!note) {
-      return res.status(404).json({ message: 'Study material not found' });
-    }
-    
-    // Check if user has access to the community
-    const user = await User.findById(req.user._id);
-    if (!user.communities.includes(note.community._id)) {
-      return res.status(403).json({ message: 'Access denied to this study material' });
-    }
+    const note = req.resource;
     
     // Increment download count
     note.downloads = (note.downloads || 0) + 1;
@@ -160,20 +222,12 @@ router.get('/:noteId/download', isAuthenticated, async (req, res) => {
 
 
 // Delete note (uploader or moderator only)
-router.delete('/:noteId', isAuthenticated, async (req, res) => {
+router.delete('/:noteId', [
+  isAuthenticated,
+  authorizeResource(Note, 'noteId', { owner: 'uploadedBy', moderators: true })
+], async (req, res) => {
   try {
-    const note = await Note.findById(req.params.noteId).populate('community');
-    if (!note) {
-      return res.status(404).json({ message: 'Note not found' });
-    }
-    
-    // Check permissions
-    const isModerator = note.community.moderators.includes(req.user._id);
-    const isUploader = note.uploadedBy.equals(req.user._id);
-    
-    if (!isModerator && !isUploader) {
-      return res.status(403).json({ message: 'Permission denied' });
-    }
+    const note = req.resource;
     
     // TODO: Delete from Cloudinary as well
     // const publicId = note.fileUrl.split('/').pop().split('.')[0];
@@ -2,20 +2,36 @@ const router = require('express').Router();
 const { body, validationResult } = require('express-validator');
 const Poll = require('../models/Poll');
 const Event = require('../models/Event');
-const { isAuthenticated, isCommunityMember } = require('../middleware/auth');
+const Community = require('../models/Community');
+const { isAuthenticated, requireScope, isCommunityMember, rejectArchived } = require('../middleware/auth');
+const { resolveChannel, visibleChannelsFilter } = require('../middleware/channels');
+const { requirePermission } = require('../middleware/permissions');
+const { authorizeResource, authorizeQuery } = require('../middleware/policy');
 
 // Get polls for a community or event
-router.get('/', isAuthenticated, async (req, res) => {
+router.get('/', [
+  isAuthenticated,
+  authorizeQuery(),
+  (req, res, next) => {
+    if (!req.community) {
+      return res.status(400).json({ message: 'Community or event ID required' });
+    }
+    next();
+  },
+  resolveChannel
+], async (req, res) => {
   try {
-    const { communityId, eventId } = req.query;
-    const query = {};
+    const community = req.community;
     
-    if (eventId) {
-      query.event = eventId;
-    } else if (communityId) {
-      query.community = communityId;
-    } else {
-      return res.status(400).json({ message: 'Community or event ID required' });
+    const query = {
+      community: community._id,
+      ...(await visibleChannelsFilter(community, req.user._id))
+    };
+    
+    if (req.event) {
+      query.event = req.event._id;
+    } else if (req.channel) {
+      query.channel = req.channel._id;
     }
     
     const polls = await Poll.find(query)
@@ -44,11 +60,12 @@ router.get('/', isAuthenticated, async (req, res) => {
 
 // Create poll
 router.post('/create', [
-  isAuthenticated,
+  requireScope('polls:write'),
   body('question').trim().isLength({ min: 5 }).withMessage('Question must be at least 5 characters'),
   body('options').isArray({ min: 2 }).withMessage('At least 2 options required'),
   body('options.*.text').trim().notEmpty().withMessage('Option text required'),
   body('communityId').isMongoId().withMessage('Valid community ID required'),
+  body('eventId').optional({ values: 'falsy' }).isMongoId().withMessage('Valid event ID required'),
   (req, res, next) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -56,15 +73,23 @@ router.post('/create', [
     }
     next();
   },
-  isCommunityMember
+  isCommunityMember,
+  rejectArchived(),
+  requirePermission('createPoll'),
+  resolveChannel
 ], async (req, res) => {
   try {
     const { question, options, eventId, isAnonymous, multipleChoice, endsAt } = req.body;
     
+    if (eventId && !(await Event.exists({ _id: eventId, community: req.community._id }))) {
+      return res.status(400).json({ message: 'Event not found in this community' });
+    }
+    
     const poll = new Poll({
       question,
       options: options.map(opt => ({ text: opt.text || opt, votes: [] })),
       community: req.community._id,
+      channel: req.channel?._id,
       event: eventId,
       createdBy: req.user._id,
       isAnonymous: isAnonymous || false,
@@ -73,6 +98,7 @@ router.post('/create', [
     });
     
     await poll.save();
+    await Community.recordActivity(req.community._id);
     
     // If associated with an event, add to event's polls
     if (eventId) {
@@ -90,14 +116,10 @@ router.post('/create', [
 });
 
 // Vote on poll
-router.post('/:pollId/vote', isAuthenticated, async (req, res) => {
+router.post('/:pollId/vote', isAuthenticated, authorizeResource(Poll, 'pollId'), async (req, res) => {
   try {
     const { optionIds } = req.body; // Array for multiple choice, single ID for single choice
-    const poll = await Poll.findById(req.params.pollId);
-    
-    if (!poll) {
-      return res.status(404).json({ message: 'Poll not found' });
-    }
+    const poll = req.resource;
     
     // Check if poll has ended
     if (poll.endsAt && new Date() > poll.endsAt) {
@@ -148,15 +170,12 @@ router.post('/:pollId/vote', isAuthenticated, async (req, res) => {
 });
 
 // Get poll results
-router.get('/:pollId/results', isAuthenticated, async (req, res) => {
+router.get('/:pollId/results', isAuthenticated, authorizeResource(Poll, 'pollId', { access: 'read' }), async (req, res) => {
   try {
-    const poll = await Poll.findById(req.params.pollId)
-      .populate('createdBy', 'name email')
-      .populate('options.votes', 'name email profilePicture');
-    
-    if (!poll) {
-      return res.status(404).json({ message: 'Poll not found' });
-    }
+    const poll = await req.resource.populate([
+      { path: 'createdBy', select: 'name email' },
+      { path: 'options.votes', select: 'name email profilePicture' }
+    ]);
     
     const totalVotes = poll.options.reduce((sum, option) => sum + option.votes.length, 0);
     
@@ -187,17 +206,9 @@ router.get('/:pollId/results', isAuthenticated, async (req, res) => {
 });
 
 // Delete poll (creator only)
-router.delete('/:pollId', isAuthenticated, async (req, res) => {
+router.delete('/:pollId', isAuthenticated, authorizeResource(Poll, 'pollId', { owner: 'createdBy' }), async (req, res) => {
   try {
-    const poll = await Poll.findById(req.params.pollId);
-    
-    if (!poll) {
-      return res.status(404).json({ message: 'Poll not found' });
-    }
-    
-    if (!poll.createdBy.equals(req.user._id)) {
-      return res.status(403).json({ message: 'Only the creator can delete this poll' });
-    }
+    const poll = req.resource;
     
     // Remove from event if associated
     if (poll.event) {
@@ -2,14 +2,31 @@ const router = require('express').Router();
 const { body, validationResult } = require('express-validator');
 const Thread = require('../models/Thread');
 const Reply = require('../models/Reply');
-const { isAuthenticated, isCommunityMember } = require('../middleware/auth');
+const Community = require('../models/Community');
+const { isAuthenticated, requireScope, isCommunityMember, canViewCommunity, rejectArchived } = require('../middleware/auth');
+const { resolveChannel, visibleChannelsFilter } = require('../middleware/channels');
+const { requirePermission } = require('../middleware/permissions');
+const { authorizeResource } = require('../middleware/policy');
 
 // Get threads for a community
-router.get('/community/:communityId', [isAuthenticated, isCommunityMember], async (req, res) => {
+router.get('/community/:communityId', [requireScope('threads:read'), canViewCommunity, resolveChannel], async (req, res) => {
   try {
-    const { page = 1, limit = 20, type, search, sortBy = 'recent' } = req.query;
-    const query = { community: req.params.communityId };
-    
+    const { page = 1, limit = 20, type, search, sortBy = 'recent', inherited } = req.query;
+    let query = {
+      community: req.params.communityId,
+      ...(await visibleChannelsFilter(req.community, req.user._id))
+    };
+    
+    if (req.channel) {
+      query.channel = req.channel._id;
+    } else if (req.community.ancestors.length > 0 && inherited !== 'false') {
+      // Announcements from parent communities cascade down (channel posts stay local)
+      query = { $or: [query, {
+        community: { $in: req.community.ancestors },
+        isAnnouncement: true,
+        channel: null
+      }] };
+    }
     if (type) query.type = type;
     if (search) query.$text = { $search: search };
     
@@ -42,11 +59,12 @@ router.get('/community/:communityId', [isAuthenticated, isCommunityMember], asyn
 
 // Create thread
 router.post('/create', [
-  isAuthenticated,
+  requireScope('threads:write'),
   body('title').trim().isLength({ min: 5 }).withMessage('Title must be at least 5 characters'),
   body('content').trim().isLength({ min: 10 }).withMessage('Content must be at least 10 characters'),
   body('type').isIn(['academic', 'chillout']).withMessage('Invalid thread type'),
   body('communityId').isMongoId().withMessage('Valid community ID required'),
+  body('isAnnouncement').optional().isBoolean().withMessage('isAnnouncement must be true or false').toBoolean(),
   (req, res, next) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -54,21 +72,31 @@ router.post('/create', [
     }
     next();
   },
-  isCommunityMember
+  isCommunityMember,
+  rejectArchived(),
+  requirePermission('createThread'),
+  resolveChannel
 ], async (req, res) => {
   try {
-    const { title, content, type, tags } = req.body;
+    const { title, content, type, tags, isAnnouncement = false } = req.body;
+    
+    if (isAnnouncement && !req.community.isModerator(req.user._id)) {
+      return res.status(403).json({ message: 'Only moderators can post announcements' });
+    }
     
     const thread = new Thread({
       title,
       content,
       type,
       community: req.community._id,
+      channel: req.channel?._id,
       author: req.user._id,
+      isAnnouncement,
       tags: tags ? tags.split(',').map(tag => tag.trim()) : []
     });
     
     await thread.save();
+    await Community.recordActivity(req.community._id);
     await thread.populate('author', 'name email profilePicture');
     
     res.status(201).json(thread);
@@ -78,21 +106,18 @@ router.post('/create', [
 });
 
 // Get single thread with replies
-router.get('/:threadId', isAuthenticated, async (req, res) => {
+router.get('/:threadId', [isAuthenticated, authorizeResource(Thread, 'threadId', { access: 'read' })], async (req, res) => {
   try {
-    const thread = await Thread.findById(req.params.threadId)
-      .populate('author', 'name email profilePicture role')
-      .populate({
+    const thread = await req.resource.populate([
+      { path: 'author', select: 'name email profilePicture role' },
+      {
         path: 'replies',
         populate: {
           path: 'author',
           select: 'name email profilePicture role'
         }
-      });
-    
-    if (!thread) {
-      return res.status(404).json({ message: 'Thread not found' });
-    }
+      }
+    ]);
     
     // Increment views
     thread.views += 1;
@@ -107,6 +132,7 @@ router.get('/:threadId', isAuthenticated, async (req, res) => {
 // Add reply to thread
 router.post('/:threadId/reply', [
   isAuthenticated,
+  authorizeResource(Thread, 'threadId', { permission: 'comment' }),
   body('content').trim().isLength({ min: 5 }).withMessage('Reply must be at least 5 characters'),
   (req, res, next) => {
     const errors = validationResult(req);
@@ -117,11 +143,7 @@ router.post('/:threadId/reply', [
   }
 ], async (req, res) => {
   try {
-    const thread = await Thread.findById(req.params.threadId);
-    if (!thread) {
-      return res.status(404).json({ message: 'Thread not found' });
-    }
-    
+    const thread = req.resource;
     const { content } = req.body;
     
     const reply = new Reply({
@@ -136,6 +158,7 @@ router.post('/:threadId/reply', [
     thread.replies.push(reply._id);
     thread.updatedAt = Date.now();
     await thread.save();
+    await Community.recordActivity(thread.community);
     
     await reply.populate('author', 'name email profilePicture role');
     
@@ -146,14 +169,10 @@ router.post('/:threadId/reply', [
 });
 
 // Vote on thread
-router.post('/:threadId/vote', isAuthenticated, async (req, res) => {
+router.post('/:threadId/vote', isAuthenticated, authorizeResource(Thread, 'threadId'), async (req, res) => {
   try {
     const { voteType } = req.body; // 'upvote' or 'downvote'
-    const thread = await Thread.findById(req.params.threadId);
-    
-    if (!thread) {
-      return res.status(404).json({ message: 'Thread not found' });
-    }
+    const thread = req.resource;
     
     const userId = req.user._id;
     const upvoteIndex = thread.upvotes.indexOf(userId);
@@ -186,18 +205,13 @@ router.post('/:threadId/vote', isAuthenticated, async (req, res) => {
   }
 });
 
-// Pin/unpin thread (moderators only)
-router.put('/:threadId/pin', isAuthenticated, async (req, res) => {
+// Pin/unpin thread (moderators unless the community allows other roles)
+router.put('/:threadId/pin', [
+  isAuthenticated,
+  authorizeResource(Thread, 'threadId', { permission: 'pinThread' })
+], async (req, res) => {
   try {
-    const thread = await Thread.findById(req.params.threadId).populate('community');
-    if (!thread) {
-      return res.status(404).json({ message: 'Thread not found' });
-    }
-    
-    // Check if user is moderator
-    if (!thread.community.moderators.includes(req.user._id)) {
-      return res.status(403).json({ message: 'Only moderators can pin threads' });
-    }
+    const thread = req.resource;
     
     thread.isPinned = !thread.isPinned;
     await thread.save();
@@ -209,19 +223,12 @@ router.put('/:threadId/pin', isAuthenticated, async (req, res) => {
 });
 
 // Mark as resolved (thread author or moderators)
-router.put('/:threadId/resolve', isAuthenticated, async (req, res) => {
+router.put('/:threadId/resolve', [
+  isAuthenticated,
+  authorizeResource(Thread, 'threadId', { owner: 'author', moderators: true })
+], async (req, res) => {
   try {
-    const thread = await Thread.findById(req.params.threadId).populate('community');
-    if (!thread) {
-      return res.status(404).json({ message: 'Thread not found' });
-    }
-    
-    const isModerator = thread.community.moderators.includes(req.user._id);
-    const isAuthor = thread.author.equals(req.user._id);
-    
-    if (!isModerator && !isAuthor) {
-      return res.status(403).json({ message: 'Permission denied' });
-    }
+    const thread = req.resource;
     
     thread.isResolved = !thread.isResolved;
     await thread.save();
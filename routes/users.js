@@ -0,0 +1,110 @@
+const router = require('express').Router();
+const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Note = require('../models/Note');
+const Thread = require('../models/Thread');
+const Reply = require('../models/Reply');
+const { isAuthenticated } = require('../middleware/auth');
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+// Contribution stats shown on a profile
+const getUserStats = async (userId) => {
+  const [notesUploaded, threadsStarted, replies, acceptedAnswers] = await Promise.all([
+    Note.countDocuments({ uploadedBy: userId }),
+    Thread.countDocuments({ author: userId }),
+    Reply.countDocuments({ author: userId }),
+    Reply.countDocuments({ author: userId, isAccepted: true })
+  ]);
+  return { notesUploaded, threadsStarted, replies, acceptedAnswers };
+};
+
+// Update my profile visibility and privacy settings
+router.put('/me/settings', isAuthenticated, [
+  body('settings.emailNotifications').optional().isBoolean().withMessage('emailNotifications must be true or false'),
+  body('settings.communityInvites').optional().isBoolean().withMessage('communityInvites must be true or false'),
+  body('settings.profileVisibility')
+    .optional()
+    .isIn(['public', 'communities', 'private'])
+    .withMessage('profileVisibility must be public, communities or private'),
+  body('privacy.showEmail').optional().isBoolean().withMessage('showEmail must be true or false'),
+  body('privacy.showLocation').optional().isBoolean().withMessage('showLocation must be true or false'),
+  body('privacy.allowMessaging').optional().isBoolean().withMessage('allowMessaging must be true or false'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { settings = {}, privacy = {} } = req.body;
+    const update = {};
+
+    // Only copy known fields so arbitrary keys can't be written
+    for (const key of ['emailNotifications', 'communityInvites', 'profileVisibility']) {
+      if (settings[key] !== undefined) update[`settings.${key}`] = settings[key];
+    }
+    for (const key of ['showEmail', 'showLocation', 'allowMessaging']) {
+      if (privacy[key] !== undefined) update[`privacy.${key}`] = privacy[key];
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: update },
+      { new: true, runValidators: true }
+    ).select('settings privacy');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Settings updated successfully',
+      settings: user.settings,
+      privacy: user.privacy
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// View another user's profile
+router.get('/:userId', isAuthenticated, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const user = await User.findById(req.params.userId)
+      .populate('communities', 'name type');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const viewerCommunities = (req.user.communities || []).map(id => id.toString());
+    const sharedCommunities = user.communities.filter(
+      community => viewerCommunities.includes(community._id.toString())
+    );
+
+    const profile = user.getVisibleProfile(req.user, {
+      sharesCommunity: sharedCommunities.length > 0
+    });
+
+    if (profile.isFullProfile) {
+      profile.stats = await getUserStats(user._id);
+      profile.sharedCommunities = sharedCommunities;
+    }
+
+    res.json(profile);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,49 @@
+// One-off migration for the email verification changes:
+//  - accounts created through Google before we recorded Google's verification are marked verified
+//  - verification tokens stored in plaintext are hashed and given the normal expiry
+// Safe to run more than once: `npm run migrate:email-verification`
+require('dotenv').config();
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const User = require('../models/User');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // Accounts created through Google have no password. Password accounts that linked Google
+  // later may have linked one with a different address, so theirs stays unverified.
+  const google = await User.updateMany(
+    {
+      googleId: { $exists: true, $ne: null },
+      password: { $in: [null, ''] },
+      isEmailVerified: false
+    },
+    { isEmailVerified: true }
+  );
+  console.log(`Marked ${google.modifiedCount} Google accounts as verified`);
+
+  // Hashed tokens always carry emailVerificationSentAt; legacy plaintext ones never do
+  const legacy = await User.find({
+    emailVerificationToken: { $exists: true, $ne: null },
+    emailVerificationSentAt: { $exists: false }
+  }).select('_id emailVerificationToken');
+
+  for (const user of legacy) {
+    await User.updateOne(
+      { _id: user._id, emailVerificationToken: user.emailVerificationToken },
+      {
+        emailVerificationToken: crypto.createHash('sha256').update(user.emailVerificationToken).digest('hex'),
+        emailVerificationExpires: Date.now() + User.EMAIL_VERIFICATION_TTL,
+        emailVerificationSentAt: Date.now()
+      }
+    );
+  }
+  console.log(`Hashed ${legacy.length} legacy verification tokens`);
+};
+
+run()
+  .catch(error => {
+    console.error('Migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
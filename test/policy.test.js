@@ -0,0 +1,228 @@
+const { describe, test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// No database in these tests: fail fast if anything reaches Mongo instead of the stubs below
+mongoose.set('bufferCommands', false);
+
+// Sign every request in as `currentUser`. Routes destructure these when they are
+// required, so this has to happen before the routers are loaded.
+const auth = require('../middleware/auth');
+let currentUser;
+const signIn = (req, res, next) => {
+  req.user = currentUser;
+  next();
+};
+auth.isAuthenticated = signIn;
+auth.requireScope = () => signIn;
+
+const Community = require('../models/Community');
+const Thread = require('../models/Thread');
+const Event = require('../models/Event');
+const Poll = require('../models/Poll');
+const Media = require('../models/Media');
+const Channel = require('../models/Channel');
+const { authorizeResource, authorizeQuery } = require('../middleware/policy');
+
+const newId = () => new mongoose.Types.ObjectId();
+
+const owner = { _id: newId(), name: 'Owner' };
+const member = { _id: newId(), name: 'Member' };
+const outsider = { _id: newId(), name: 'Outsider' };
+
+const community = new Community({
+  name: 'Physics 2026',
+  description: 'Batch community',
+  type: 'academic',
+  creator: owner._id,
+  moderators: [owner._id],
+  members: [owner._id, member._id]
+});
+
+// The outsider only belongs to another community
+const otherCommunity = new Community({
+  name: 'Chemistry 2026',
+  description: 'Another batch',
+  type: 'academic',
+  creator: outsider._id,
+  moderators: [outsider._id],
+  members: [outsider._id]
+});
+
+const thread = new Thread({ title: 'Exam dates', content: 'When are the exams?', community: community._id, author: member._id });
+const event = new Event({ title: 'Lab trip', description: 'Trip to the lab', date: new Date(), community: community._id, createdBy: owner._id });
+const poll = new Poll({ question: 'Which day?', options: [{ text: 'Mon' }, { text: 'Tue' }], community: community._id, createdBy: owner._id });
+const media = new Media({ url: 'https://example.com/photo.jpg', type: 'image', community: community._id, uploadedBy: member._id });
+
+// Stub Model.findById (and Community.exists, used for sub-community membership) with in-memory documents
+const stubFindById = (Model, docs) => {
+  mock.method(Model, 'findById', async (id) => docs.find(doc => doc._id.equals(id)) || null);
+};
+
+const stubModels = () => {
+  stubFindById(Community, [community, otherCommunity]);
+  stubFindById(Thread, [thread]);
+  stubFindById(Event, [event]);
+  stubFindById(Poll, [poll]);
+  stubFindById(Media, [media]);
+  mock.method(Community, 'exists', async () => null);
+  mock.method(Channel, 'findById', async () => null);
+};
+
+// Minimal req/res pair for calling a middleware directly
+const runMiddleware = async (middleware, req) => {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  let nextCalled = false;
+  req.params = req.params || {};
+  req.query = req.query || {};
+  req.body = req.body || {};
+  await middleware(req, res, () => { nextCalled = true; });
+  return { res, nextCalled };
+};
+
+describe('routes refuse users from other communities', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    stubModels();
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/threads', require('../routes/threads'));
+    app.use('/api/events', require('../routes/events'));
+    app.use('/api/expenses', require('../routes/expenses'));
+    app.use('/api/polls', require('../routes/polls'));
+    app.use('/api/media', require('../routes/media'));
+
+    await new Promise(resolve => {
+      server = app.listen(0, resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    currentUser = outsider;
+  });
+
+  after(() => {
+    server.close();
+    mock.restoreAll();
+  });
+
+  const request = (method, path, body) => fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body && JSON.stringify(body)
+  });
+
+  const cases = [
+    ['read a thread', 'GET', () => `/api/threads/${thread._id}`],
+    ['reply to a thread', 'POST', () => `/api/threads/${thread._id}/reply`, { content: 'Next Monday' }],
+    ['RSVP to an event', 'POST', () => `/api/events/${event._id}/attendance`, { status: 'going' }],
+    ['add an event todo', 'POST', () => `/api/events/${event._id}/todo`, { task: 'Book the bus' }],
+    ['list expenses by community', 'GET', () => `/api/expenses?communityId=${community._id}`],
+    ['vote in a poll', 'POST', () => `/api/polls/${poll._id}/vote`, { optionIndex: 0 }],
+    ['like media', 'POST', () => `/api/media/${media._id}/like`],
+    ['comment on media', 'POST', () => `/api/media/${media._id}/comment`, { text: 'Nice photo' }]
+  ];
+
+  for (const [action, method, path, body] of cases) {
+    test(`a non-member cannot ${action}`, async () => {
+      const res = await request(method, path(), body);
+      assert.equal(res.status, 403);
+      assert.equal((await res.json()).message, 'Not a member of this community');
+    });
+  }
+});
+
+describe('authorizeResource', () => {
+  before(stubModels);
+  after(() => mock.restoreAll());
+
+  test('lets members through and sets req.resource and req.community', async () => {
+    const req = { user: member, params: { threadId: String(thread._id) } };
+    const { nextCalled } = await runMiddleware(authorizeResource(Thread, 'threadId'), req);
+
+    assert.ok(nextCalled);
+    assert.equal(req.resource, thread);
+    assert.equal(req.community, community);
+  });
+
+  test('refuses non-members', async () => {
+    const { res, nextCalled } = await runMiddleware(authorizeResource(Thread, 'threadId', { access: 'read' }), {
+      user: outsider,
+      params: { threadId: String(thread._id) }
+    });
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 403);
+  });
+
+  test('reports malformed and unknown ids as not found', async () => {
+    for (const threadId of ['not-an-id', String(newId())]) {
+      const { res } = await runMiddleware(authorizeResource(Thread, 'threadId'), {
+        user: member,
+        params: { threadId }
+      });
+      assert.equal(res.statusCode, 404);
+    }
+  });
+
+  test('refuses tokens restricted to another community', async () => {
+    const { res } = await runMiddleware(authorizeResource(Thread, 'threadId'), {
+      user: member,
+      accessToken: { community: otherCommunity._id },
+      params: { threadId: String(thread._id) }
+    });
+
+    assert.equal(res.statusCode, 403);
+  });
+
+  test('enforces owner and moderator rules', async () => {
+    const params = { pollId: String(poll._id) };
+
+    const asMember = await runMiddleware(authorizeResource(Poll, 'pollId', { owner: 'createdBy' }), { user: member, params });
+    assert.equal(asMember.res.statusCode, 403);
+
+    const asCreator = await runMiddleware(authorizeResource(Poll, 'pollId', { owner: 'createdBy' }), { user: owner, params });
+    assert.ok(asCreator.nextCalled);
+  });
+});
+
+describe('authorizeQuery', () => {
+  before(stubModels);
+  after(() => mock.restoreAll());
+
+  test('refuses non-members filtering by community or event', async () => {
+    for (const query of [{ communityId: String(community._id) }, { eventId: String(event._id) }]) {
+      const { res, nextCalled } = await runMiddleware(authorizeQuery(), { user: outsider, query });
+      assert.equal(nextCalled, false);
+      assert.equal(res.statusCode, 403);
+    }
+  });
+
+  test('lets members filter by community', async () => {
+    const req = { user: member, query: { communityId: String(community._id) } };
+    const { nextCalled } = await runMiddleware(authorizeQuery(), req);
+
+    assert.ok(nextCalled);
+    assert.equal(req.community, community);
+  });
+
+  test('passes through when no filter is given', async () => {
+    const { nextCalled } = await runMiddleware(authorizeQuery(), { user: outsider });
+    assert.ok(nextCalled);
+  });
+});
@@ -0,0 +1,219 @@
+const Community = require('../models/Community');
+const User = require('../models/User');
+const Thread = require('../models/Thread');
+const Reply = require('../models/Reply');
+const Note = require('../models/Note');
+const Media = require('../models/Media');
+const Event = require('../models/Event');
+const Poll = require('../models/Poll');
+const Expense = require('../models/Expense');
+const RefreshToken = require('../models/RefreshToken');
+const AccessToken = require('../models/AccessToken');
+const Session = require('../models/Session');
+const DataExport = require('../models/DataExport');
+const RoleRequest = require('../models/RoleRequest');
+const JoinRequest = require('../models/JoinRequest');
+const Invite = require('../models/Invite');
+const Channel = require('../models/Channel');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Institution = require('../models/Institution');
+const { deleteCommunity, deleteFiles } = require('./communityDeletion');
+const { deleteFile } = require('./cloudinary');
+
+// Decide what happens to each community the user created:
+// - another moderator exists  -> ownership is transferred to them
+// - other members but no moderator -> deletion is blocked until ownership is transferred
+// - the user is the only member -> the community is deleted
+const planCreatedCommunities = async (userId) => {
+  const communities = await Community.find({ creator: userId });
+  const plan = { transfer: [], remove: [], blocked: [] };
+
+  for (const community of communities) {
+    const otherModerator = community.moderators.find(mod => !mod.equals(userId));
+    const otherMembers = community.members.filter(member => !member.equals(userId));
+
+    if (otherModerator) {
+      plan.transfer.push({ community, newCreator: otherModerator });
+    } else if (otherMembers.length === 0) {
+      plan.remove.push(community);
+    } else {
+      plan.blocked.push({ _id: community._id, name: community.name, members: otherMembers.length });
+    }
+  }
+
+  return plan;
+};
+
+// Delete a user and clean up everything that references them.
+// Resolves to { blocked } if some created communities must be transferred first,
+// otherwise to { report } describing what was removed or reassigned.
+const deleteUserAccount = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) return null;
+
+  const plan = await planCreatedCommunities(user._id);
+  if (plan.blocked.length > 0) {
+    return { blocked: plan.blocked };
+  }
+
+  const placeholder = await User.getDeletedUserPlaceholder();
+  const report = {};
+
+  // Created communities: hand over or delete
+  for (const { community, newCreator } of plan.transfer) {
+    community.creator = newCreator;
+    await community.save();
+  }
+  report.communitiesTransferred = plan.transfer.map(({ community }) => community.name);
+
+  report.communitiesDeleted = [];
+  for (const community of plan.remove) {
+    const result = await deleteCommunity(community._id);
+    if (result) report.communitiesDeleted.push(result);
+  }
+
+  // Memberships and community roles
+  const membership = await Community.updateMany(
+    { $or: [{ members: user._id }, { moderators: user._id }, { 'memberRoles.user': user._id }, { 'bans.user': user._id }] },
+    { $pull: { members: user._id, memberJoins: { user: user._id }, moderators: user._id, memberRoles: { user: user._id }, bans: { user: user._id } } }
+  );
+  report.membershipsRemoved = membership.modifiedCount;
+  await RoleRequest.deleteMany({ user: user._id });
+  await JoinRequest.deleteMany({ user: user._id });
+  await Invite.deleteMany({ createdBy: user._id });
+  await Channel.updateMany(
+    { allowedMembers: user._id },
+    { $pull: { allowedMembers: user._id } }
+  );
+  await Channel.updateMany({ createdBy: user._id }, { createdBy: placeholder._id });
+  await Invite.updateMany(
+    { 'usedBy.user': user._id },
+    { $pull: { usedBy: { user: user._id } } }
+  );
+  await Institution.updateMany(
+    { admins: user._id },
+    { $pull: { admins: user._id } }
+  );
+
+  // Uploaded files are deleted outright (notes and media)
+  const [notes, media] = await Promise.all([
+    Note.find({ uploadedBy: user._id }).select('fileUrl'),
+    Media.find({ uploadedBy: user._id }).select('url')
+  ]);
+  const files = await deleteFiles([
+    ...notes.map(n => n.fileUrl),
+    ...media.map(m => m.url),
+    user.profilePicture
+  ]);
+  report.notesDeleted = (await Note.deleteMany({ uploadedBy: user._id })).deletedCount;
+  report.mediaDeleted = (await Media.deleteMany({ uploadedBy: user._id })).deletedCount;
+  report.filesDeleted = files.deleted;
+  report.filesFailed = files.failed;
+
+  // Discussions stay readable but are attributed to "Deleted user"
+  report.threadsAnonymised = (await Thread.updateMany(
+    { author: user._id },
+    { author: placeholder._id }
+  )).modifiedCount;
+  report.repliesAnonymised = (await Reply.updateMany(
+    { author: user._id },
+    { author: placeholder._id }
+  )).modifiedCount;
+  report.mediaCommentsAnonymised = (await Media.updateMany(
+    { 'comments.user': user._id },
+    { $set: { 'comments.$[comment].user': placeholder._id } },
+    { arrayFilters: [{ 'comment.user': user._id }] }
+  )).modifiedCount;
+
+  // Votes and likes are removed
+  report.threadVotesRemoved = (await Thread.updateMany(
+    { $or: [{ upvotes: user._id }, { downvotes: user._id }] },
+    { $pull: { upvotes: user._id, downvotes: user._id } }
+  )).modifiedCount;
+  report.replyVotesRemoved = (await Reply.updateMany(
+    { upvotes: user._id },
+    { $pull: { upvotes: user._id } }
+  )).modifiedCount;
+  report.mediaLikesRemoved = (await Media.updateMany(
+    { likes: user._id },
+    { $pull: { likes: user._id } }
+  )).modifiedCount;
+  report.pollVotesRemoved = (await Poll.updateMany(
+    { 'options.votes': user._id },
+    { $pull: { 'options.$[].votes': user._id } }
+  )).modifiedCount;
+
+  // Polls and events they organised are kept for the community
+  report.pollsAnonymised = (await Poll.updateMany(
+    { createdBy: user._id },
+    { createdBy: placeholder._id }
+  )).modifiedCount;
+  report.eventsAnonymised = (await Event.updateMany(
+    { createdBy: user._id },
+    { createdBy: placeholder._id }
+  )).modifiedCount;
+  report.eventAttendanceRemoved = (await Event.updateMany(
+    { 'attendees.user': user._id },
+    { $pull: { attendees: { user: user._id } } }
+  )).modifiedCount;
+  report.eventTodosUnassigned = (await Event.updateMany(
+    { 'todoList.assignedTo': user._id },
+    { $unset: { 'todoList.$[todo].assignedTo': '' } },
+    { arrayFilters: [{ 'todo.assignedTo': user._id }] }
+  )).modifiedCount;
+
+  // Expenses keep their amounts so other members' balances stay correct
+  report.expensesAnonymised = (await Expense.updateMany(
+    { paidBy: user._id },
+    { paidBy: placeholder._id }
+  )).modifiedCount;
+  report.expenseSplitsAnonymised = (await Expense.updateMany(
+    { 'splitBetween.user': user._id },
+    { $set: { 'splitBetween.$[split].user': placeholder._id } },
+    { arrayFilters: [{ 'split.user': user._id }] }
+  )).modifiedCount;
+
+  // Messages stay in the other participants' history, attributed to "Deleted user"
+  report.messagesAnonymised = (await Message.updateMany(
+    { sender: user._id },
+    { sender: placeholder._id }
+  )).modifiedCount;
+  report.conversationsLeft = (await Conversation.updateMany(
+    { participants: user._id },
+    { $pull: { participants: user._id, readState: { user: user._id } } }
+  )).modifiedCount;
+
+  // Conversations nobody is left in are removed with their attachments
+  const emptyConversations = await Conversation.find({ participants: { $size: 0 } }).select('_id');
+  const emptyIds = emptyConversations.map(c => c._id);
+  const orphaned = await Message.find({ conversation: { $in: emptyIds } }).select('attachments');
+  await deleteFiles(orphaned.flatMap(message => message.attachments.map(a => a.url)));
+  await Message.deleteMany({ conversation: { $in: emptyIds } });
+  await Conversation.deleteMany({ _id: { $in: emptyIds } });
+
+  await User.updateMany(
+    { blockedUsers: user._id },
+    { $pull: { blockedUsers: user._id } }
+  );
+
+  // Previously generated data exports
+  const exports = await DataExport.find({ user: user._id, publicId: { $exists: true } });
+  for (const job of exports) {
+    await deleteFile(job.publicId, 'raw', 'authenticated')
+      .catch(error => console.error('Failed to delete data export:', error.message));
+  }
+  await DataExport.deleteMany({ user: user._id });
+
+  await RefreshToken.deleteMany({ user: user._id });
+  await Session.deleteMany({ user: user._id });
+  await AccessToken.deleteMany({ user: user._id });
+  await user.deleteOne();
+
+  return { report };
+};
+
+module.exports = {
+  deleteUserAccount,
+  planCreatedCommunities
+};
@@ -0,0 +1,115 @@
+const AuthAttempt = require('../models/AuthAttempt');
+
+// Every store returns records shaped like
+// { count, blockedUntil, lockedOut, expiresAt } or null when nothing is tracked.
+
+// In-memory store - fine for a single instance, resets on restart
+class MemoryAttemptStore {
+  constructor() {
+    this.records = new Map();
+
+    // Periodically drop expired counters so the map does not grow forever
+    this.sweeper = setInterval(() => {
+      const now = Date.now();
+      for (const [key, record] of this.records) {
+        if (record.expiresAt.getTime() <= now) {
+          this.records.delete(key);
+        }
+      }
+    }, 60 * 1000);
+    this.sweeper.unref();
+  }
+
+  async get(key) {
+    const record = this.records.get(key);
+    if (!record || record.expiresAt.getTime() <= Date.now()) {
+      return null;
+    }
+    return { ...record };
+  }
+
+  async increment(key, windowMs) {
+    let record = await this.get(key);
+    if (!record) {
+      record = { count: 0, blockedUntil: null, lockedOut: false, expiresAt: new Date(Date.now() + windowMs) };
+    }
+    record.count += 1;
+    this.records.set(key, record);
+    return { ...record };
+  }
+
+  async block(key, until, lockedOut = false) {
+    const record = this.records.get(key);
+    if (!record) return;
+
+    record.blockedUntil = until;
+    record.lockedOut = lockedOut;
+    // Keep the record around at least as long as the block
+    if (record.expiresAt < until) {
+      record.expiresAt = until;
+    }
+  }
+
+  async reset(key) {
+    this.records.delete(key);
+  }
+}
+
+// Mongo-backed store - shared between instances and survives restarts
+class MongoAttemptStore {
+  async get(key) {
+    return AuthAttempt.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+  }
+
+  async increment(key, windowMs) {
+    const now = new Date();
+
+    // The TTL monitor only runs every minute, so clear stale windows ourselves
+    await AuthAttempt.deleteOne({ key, expiresAt: { $lte: now } });
+
+    const upsert = () => AuthAttempt.findOneAndUpdate(
+      { key },
+      {
+        $inc: { count: 1 },
+        $setOnInsert: { expiresAt: new Date(now.getTime() + windowMs) }
+      },
+      { upsert: true, new: true }
+    ).lean();
+
+    try {
+      return await upsert();
+    } catch (error) {
+      // Two first attempts raced to insert the key; the retry finds the winner's record
+      if (error.code !== 11000) throw error;
+      return upsert();
+    }
+  }
+
+  async block(key, until, lockedOut = false) {
+    await AuthAttempt.updateOne(
+      { key },
+      {
+        $set: { blockedUntil: until, lockedOut },
+        $max: { expiresAt: until }
+      }
+    );
+  }
+
+  async reset(key) {
+    await AuthAttempt.deleteOne({ key });
+  }
+}
+
+// AUTH_ATTEMPT_STORE=mongo when running more than one instance
+const createAttemptStore = (type = process.env.AUTH_ATTEMPT_STORE) => {
+  if (type === 'mongo') {
+    return new MongoAttemptStore();
+  }
+  return new MemoryAttemptStore();
+};
+
+module.exports = {
+  MemoryAttemptStore,
+  MongoAttemptStore,
+  createAttemptStore
+};
@@ -0,0 +1,31 @@
+const AuditLog = require('../models/AuditLog');
+
+// How long entries are kept before MongoDB prunes them
+const RETENTION_DAYS = parseInt(process.env.AUDIT_LOG_RETENTION_DAYS, 10) || 180;
+
+// Append an audit entry for the request. Never throws: a logging failure must not
+// break the login or account change that triggered it.
+const recordAuditEvent = async (req, event, { user, actor, outcome = 'success', details } = {}) => {
+  try {
+    const userId = user && (user._id || user);
+    const actorId = actor && (actor._id || actor);
+
+    await AuditLog.create({
+      user: userId,
+      actor: actorId && (!userId || actorId.toString() !== userId.toString()) ? actorId : undefined,
+      event,
+      outcome,
+      ip: req && req.ip,
+      userAgent: req && req.get ? (req.get('user-agent') || '').substring(0, 300) : undefined,
+      details,
+      expiresAt: new Date(Date.now() + RETENTION_DAYS * 24 * 60 * 60 * 1000)
+    });
+  } catch (error) {
+    console.error('Failed to write audit log:', error.message);
+  }
+};
+
+module.exports = {
+  RETENTION_DAYS,
+  recordAuditEvent
+};
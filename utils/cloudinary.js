@@ -165,6 +165,80 @@ const mediaUpload = multer({
   }
 });
 
+// Message attachment configuration (images, videos and documents)
+const messageStorage = new CloudinaryStorage({
+  cloudinary: cloudinary,
+  params: async (req, file) => {
+    const resourceType = getResourceType(file.mimetype);
+    return {
+      folder: 'batchhub/messages',
+      resource_type: resourceType,
+      use_filename: true,
+      unique_filename: true,
+    };
+  }
+});
+
+const messageUpload = multer({
+  storage: messageStorage,
+  limits: { 
+    fileSize: 25 * 1024 * 1024, // 25MB limit
+    files: 5
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedMimes = [
+      'image/jpeg',
+      'image/jpg',
+      'image/png',
+      'image/gif',
+      'video/mp4',
+      'video/webm',
+      'application/pdf',
+      'application/msword',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'application/vnd.ms-powerpoint',
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+      'text/plain'
+    ];
+    
+    if (allowedMimes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Invalid file type: ${file.mimetype}. Only images, videos and documents are allowed.`), false);
+    }
+  }
+});
+
+// Community cover image configuration
+const coverStorage = new CloudinaryStorage({
+  cloudinary: cloudinary,
+  params: {
+    folder: 'batchhub/communities',
+    resource_type: 'image',
+    transformation: [
+      { width: 1500, height: 500, crop: 'fill' },
+      { quality: 'auto', fetch_format: 'auto' }
+    ]
+  }
+});
+
+const coverUpload = multer({
+  storage: coverStorage,
+  limits: { 
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedMimes = ['image/jpeg', 'image/jpg', 'image/png'];
+    
+    if (allowedMimes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only JPG and PNG images are allowed.'), false);
+    }
+  }
+});
+
 // Profile picture upload configuration
 const profileStorage = new CloudinaryStorage({
   cloudinary: cloudinary,
@@ -196,9 +270,9 @@ const profileUpload = multer({
 });
 
 // Utility function to delete files from cloudinary
-const deleteFile = async (publicId, resourceType = 'auto') => {
+const deleteFile = async (publicId, resourceType = 'auto', deliveryType = 'upload') => {
   try {
-    const result = await cloudinary.uploader.destroy(publicId, { resource_type: resourceType });
+    const result = await cloudinary.uploader.destroy(publicId, { resource_type: resourceType, type: deliveryType });
     console.log('🗑️ File deleted from Cloudinary:', result);
     return result;
   } catch (error) {
@@ -207,6 +281,70 @@ const deleteFile = async (publicId, resourceType = 'auto') => {
   }
 };
 
+// Utility function to extract the public ID and resource type from a Cloudinary URL
+// e.g. https://res.cloudinary.com/<cloud>/raw/upload/v123/batchhub/notes/note_1.pdf
+const getPublicIdFromUrl = (fileUrl) => {
+  const match = fileUrl && fileUrl.match(/\/(image|video|raw)\/upload\/(.+)$/);
+  if (!match) return null;
+  
+  const resourceType = match[1];
+  const segments = match[2].split('/');
+  
+  // Drop transformations and the version segment that precede the public ID
+  const versionIndex = segments.findIndex(segment => /^v\d+$/.test(segment));
+  let publicId = segments.slice(versionIndex + 1).join('/');
+  
+  // Raw files keep their extension as part of the public ID
+  if (resourceType !== 'raw') {
+    publicId = publicId.replace(/\.[^/.]+$/, '');
+  }
+  
+  return { publicId, resourceType };
+};
+
+// Utility function to delete a file given its Cloudinary URL (no-op for other URLs)
+const deleteFileByUrl = async (fileUrl) => {
+  const parsed = getPublicIdFromUrl(fileUrl);
+  if (!parsed) return null;
+  return deleteFile(parsed.publicId, parsed.resourceType);
+};
+
+// Middleware for right after multer: when the request is rejected (any 4xx response, e.g. a
+// validation error or a failed membership/permission check) the files it uploaded are deleted again
+const discardUploadsOnRejection = (req, res, next) => {
+  res.on('finish', () => {
+    if (res.statusCode < 400 || res.statusCode >= 500) return;
+    
+    const files = [req.file, ...(Array.isArray(req.files) ? req.files : [])].filter(Boolean);
+    for (const file of files) {
+      deleteFileByUrl(file.path)
+        .catch(error => console.error('Failed to delete rejected upload:', error.message));
+    }
+  });
+  next();
+};
+
+// Utility function to upload a generated file (e.g. a JSON export) from memory
+const uploadBuffer = (buffer, options = {}) => {
+  return new Promise((resolve, reject) => {
+    const stream = cloudinary.uploader.upload_stream(
+      { resource_type: 'raw', ...options },
+      (error, result) => (error ? reject(error) : resolve(result))
+    );
+    stream.end(buffer);
+  });
+};
+
+// Utility function to get a download link for an authenticated (non-public) file that stops working at `expiresAt`
+const getPrivateDownloadUrl = (publicId, expiresAt, resourceType = 'raw') => {
+  return cloudinary.utils.private_download_url(publicId, '', {
+    resource_type: resourceType,
+    type: 'authenticated',
+    attachment: true,
+    expires_at: Math.floor(new Date(expiresAt).getTime() / 1000)
+  });
+};
+
 // Utility function to get optimized URL
 const getOptimizedUrl = (publicId, transformations = [], resourceType = 'auto') => {
   return cloudinary.url(publicId, {
@@ -232,7 +370,14 @@ module.exports = {
   noteUpload,
   mediaUpload,
   profileUpload,
+  messageUpload,
+  coverUpload,
   deleteFile,
+  deleteFileByUrl,
+  discardUploadsOnRejection,
+  getPublicIdFromUrl,
+  uploadBuffer,
+  getPrivateDownloadUrl,
   getOptimizedUrl,
   getFileExtension,
   getResourceType,
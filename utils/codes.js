@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+
+// No 0/O or 1/I so codes can be read out and typed without mistakes
+const ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Random code from a cryptographically secure source
+const randomCode = (length) => {
+  let code = '';
+  for (let i = 0; i < length; i++) {
+    code += ALPHABET[crypto.randomInt(ALPHABET.length)];
+  }
+  return code;
+};
+
+// A code not yet used by `model` in `field`. Retries on collision and gives up
+// after a few attempts rather than looping forever.
+const generateUniqueCode = async (model, field, length, attempts = 5) => {
+  for (let i = 0; i < attempts; i++) {
+    const code = randomCode(length);
+    if (!(await model.exists({ [field]: code }))) {
+      return code;
+    }
+  }
+  throw new Error('Could not generate a unique code, please try again');
+};
+
+// Run `save` (which writes a freshly generated code) again when the unique index reports
+// that a concurrent request took the same code after generateUniqueCode checked it.
+// `save` receives the attempt number, starting at 0.
+const retryOnCodeCollision = async (field, save, attempts = 5) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await save(attempt);
+    } catch (error) {
+      const collided = error.code === 11000 && error.keyPattern && error.keyPattern[field];
+      if (!collided || attempt + 1 >= attempts) throw error;
+    }
+  }
+};
+
+module.exports = {
+  randomCode,
+  generateUniqueCode,
+  retryOnCodeCollision
+};
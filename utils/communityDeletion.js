@@ -0,0 +1,109 @@
+const Community = require('../models/Community');
+const User = require('../models/User');
+const Thread = require('../models/Thread');
+const Reply = require('../models/Reply');
+const Note = require('../models/Note');
+const Media = require('../models/Media');
+const Event = require('../models/Event');
+const Poll = require('../models/Poll');
+const Expense = require('../models/Expense');
+const RoleRequest = require('../models/RoleRequest');
+const JoinRequest = require('../models/JoinRequest');
+const Invite = require('../models/Invite');
+const Channel = require('../models/Channel');
+const { deleteFileByUrl } = require('./cloudinary');
+
+// Delete Cloudinary files, logging failures instead of aborting the cleanup
+const deleteFiles = async (urls) => {
+  let deleted = 0;
+  let failed = 0;
+
+  for (const url of urls.filter(Boolean)) {
+    try {
+      const result = await deleteFileByUrl(url);
+      if (result) deleted++;
+    } catch (error) {
+      console.error('Failed to delete file during cleanup:', url, error.message);
+      failed++;
+    }
+  }
+
+  return { deleted, failed };
+};
+
+// Hard-delete a community together with all of its content and files.
+// Returns a report of what was removed.
+const deleteCommunity = async (communityId) => {
+  const community = await Community.findById(communityId);
+  if (!community) return null;
+
+  const [notes, media, events, expenses, threads] = await Promise.all([
+    Note.find({ community: community._id }).select('fileUrl'),
+    Media.find({ community: community._id }).select('url'),
+    Event.find({ community: community._id }).select('coverImage'),
+    Expense.find({ community: community._id }).select('receipt'),
+    Thread.find({ community: community._id }).select('_id')
+  ]);
+
+  const threadIds = threads.map(t => t._id);
+  const replyFiles = await Reply.find({ thread: { $in: threadIds } }).select('attachments');
+
+  const files = await deleteFiles([
+    ...replyFiles.flatMap(r => r.attachments),
+    ...notes.map(n => n.fileUrl),
+    ...media.map(m => m.url),
+    ...events.map(e => e.coverImage),
+    ...expenses.map(e => e.receipt),
+    community.coverImage
+  ]);
+
+  const [replies, threadResult, noteResult, mediaResult, eventResult, pollResult, expenseResult] = await Promise.all([
+    Reply.deleteMany({ thread: { $in: threadIds } }),
+    Thread.deleteMany({ community: community._id }),
+    Note.deleteMany({ community: community._id }),
+    Media.deleteMany({ community: community._id }),
+    Event.deleteMany({ community: community._id }),
+    Poll.deleteMany({ community: community._id }),
+    Expense.deleteMany({ community: community._id }),
+    RoleRequest.deleteMany({ community: community._id }),
+    JoinRequest.deleteMany({ community: community._id }),
+    Invite.deleteMany({ community: community._id }),
+    Channel.deleteMany({ community: community._id })
+  ]);
+
+  // Sub-communities move up to the deleted community's parent
+  await Community.updateMany(
+    { parent: community._id },
+    community.parent ? { parent: community.parent } : { $unset: { parent: '' } }
+  );
+  await Community.updateMany(
+    { ancestors: community._id },
+    { $pull: { ancestors: community._id } }
+  );
+  
+  const userResult = await User.updateMany(
+    { communities: community._id },
+    { $pull: { communities: community._id } }
+  );
+
+  await community.deleteOne();
+
+  return {
+    community: { _id: community._id, name: community.name },
+    threads: threadResult.deletedCount,
+    replies: replies.deletedCount,
+    notes: noteResult.deletedCount,
+    media: mediaResult.deletedCount,
+    events: eventResult.deletedCount,
+    polls: pollResult.deletedCount,
+    expenses: expenseResult.deletedCount,
+    membersRemoved: userResult.modifiedCount,
+    filesDeleted: files.deleted,
+    filesFailed: files.failed
+  };
+};
+
+module.exports = {
+  deleteCommunity,
+  deleteFiles
+};
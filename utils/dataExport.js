@@ -0,0 +1,224 @@
+const User = require('../models/User');
+const Community = require('../models/Community');
+const Thread = require('../models/Thread');
+const Reply = require('../models/Reply');
+const Note = require('../models/Note');
+const Media = require('../models/Media');
+const Event = require('../models/Event');
+const Poll = require('../models/Poll');
+const Expense = require('../models/Expense');
+const Message = require('../models/Message');
+const DataExport = require('../models/DataExport');
+const { uploadBuffer, deleteFile } = require('./cloudinary');
+const { sendDataExportReadyEmail } = require('./email');
+
+// Accounts with more items than this are exported in the background
+const INLINE_EXPORT_LIMIT = parseInt(process.env.INLINE_EXPORT_LIMIT, 10) || 500;
+
+// Rough size of an account, used to decide between inline and background export
+const countUserItems = async (userId) => {
+  const counts = await Promise.all([
+    Note.countDocuments({ uploadedBy: userId }),
+    Thread.countDocuments({ author: userId }),
+    Reply.countDocuments({ author: userId }),
+    Media.countDocuments({ $or: [{ uploadedBy: userId }, { 'comments.user': userId }] }),
+    Poll.countDocuments({ 'options.votes': userId }),
+    Event.countDocuments({ 'attendees.user': userId }),
+    Expense.countDocuments({ $or: [{ paidBy: userId }, { 'splitBetween.user': userId }] }),
+    Message.countDocuments({ sender: userId })
+  ]);
+  return counts.reduce((sum, count) => sum + count, 0);
+};
+
+// Assemble everything a user has in BatchHub: { manifest, data }
+const buildUserExport = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) return null;
+
+  const [communities, notes, threads, replies, media, commentedMedia, polls, events, expenses, messages] = await Promise.all([
+    Community.find({ members: userId }).select('name description type code creator moderators createdAt'),
+    Note.find({ uploadedBy: userId }).populate('community', 'name').lean(),
+    Thread.find({ author: userId }).populate('community', 'name')
+      .select('title content type community tags isResolved createdAt updatedAt').lean(),
+    Reply.find({ author: userId }).populate('thread', 'title')
+      .select('content thread isAccepted attachments createdAt updatedAt').lean(),
+    Media.find({ uploadedBy: userId }).populate('community', 'name')
+      .select('url type caption community tags createdAt').lean(),
+    Media.find({ 'comments.user': userId }).select('url comments').lean(),
+    Poll.find({ 'options.votes': userId }).populate('community', 'name').lean(),
+    Event.find({ 'attendees.user': userId }).populate('community', 'name')
+      .select('title date endDate location community attendees').lean(),
+    Expense.find({ $or: [{ paidBy: userId }, { 'splitBetween.user': userId }] })
+      .populate('community', 'name').lean(),
+    Message.find({ sender: userId }).select('conversation content attachments createdAt').lean()
+  ]);
+
+  const isUser = (id) => id && id.toString() === userId.toString();
+
+  const data = {
+    profile: user.getPublicProfile(),
+    communities: communities.map(community => ({
+      _id: community._id,
+      name: community.name,
+      description: community.description,
+      type: community.type,
+      code: community.code,
+      role: community.creator.equals(userId)
+        ? 'creator'
+        : community.moderators.some(isUser) ? 'moderator' : 'member',
+      createdAt: community.createdAt
+    })),
+    notes,
+    threads,
+    replies,
+    media,
+    mediaComments: commentedMedia.flatMap(item =>
+      item.comments
+        .filter(comment => isUser(comment.user))
+        .map(comment => ({ media: item._id, mediaUrl: item.url, text: comment.text, createdAt: comment.createdAt }))
+    ),
+    pollVotes: polls.map(poll => ({
+      poll: poll._id,
+      question: poll.question,
+      community: poll.community,
+      votedFor: poll.options.filter(option => option.votes.some(isUser)).map(option => option.text)
+    })),
+    eventRsvps: events.map(event => ({
+      event: event._id,
+      title: event.title,
+      date: event.date,
+      location: event.location,
+      community: event.community,
+      status: event.attendees.find(a => isUser(a.user)).status
+    })),
+    expenses: expenses.map(expense => ({
+      expense: expense._id,
+      title: expense.title,
+      amount: expense.amount,
+      category: expense.category,
+      community: expense.community,
+      paidByMe: isUser(expense.paidBy),
+      mySplit: expense.splitBetween.find(split => isUser(split.user)) || null,
+      createdAt: expense.createdAt
+    })),
+    // Only messages the user sent; other participants' messages are theirs
+    messages
+  };
+
+  // Files are not copied into the archive, only listed
+  const files = [
+    user.profilePicture && { kind: 'profilePicture', url: user.profilePicture },
+    ...notes.map(note => ({ kind: 'note', id: note._id, title: note.title, url: note.fileUrl })),
+    ...media.map(item => ({ kind: 'media', id: item._id, url: item.url })),
+    ...expenses
+      .filter(expense => isUser(expense.paidBy) && expense.receipt)
+      .map(expense => ({ kind: 'receipt', id: expense._id, url: expense.receipt })),
+    ...messages.flatMap(message =>
+      message.attachments.map(a => ({ kind: 'messageAttachment', id: message._id, name: a.name, url: a.url }))
+    )
+  ].filter(Boolean);
+
+  const manifest = {
+    generatedAt: new Date(),
+    userId: user._id,
+    sections: Object.fromEntries(
+      Object.entries(data)
+        .filter(([key]) => key !== 'profile')
+        .map(([key, value]) => [key, value.length])
+    ),
+    files
+  };
+
+  return { manifest, data };
+};
+
+// Background job: build the archive, store it on Cloudinary and notify the user
+const processDataExport = async (exportId) => {
+  const job = await DataExport.findById(exportId);
+  if (!job) return;
+
+  try {
+    job.status = 'processing';
+    await job.save();
+
+    const archive = await buildUserExport(job.user);
+    if (!archive) {
+      throw new Error('User not found');
+    }
+
+    const result = await uploadBuffer(Buffer.from(JSON.stringify(archive, null, 2)), {
+      folder: 'batchhub/exports',
+      public_id: `export_${job.user}_${job._id}.json`,
+      type: 'authenticated'
+    });
+
+    job.status = 'ready';
+    job.publicId = result.public_id;
+    job.itemCount = Object.values(archive.manifest.sections).reduce((sum, count) => sum + count, 0);
+    job.completedAt = Date.now();
+    await job.save();
+  } catch (error) {
+    console.error('Data export failed:', error);
+    job.status = 'failed';
+    job.error = error.message;
+    await job.save();
+    return;
+  }
+
+  // The archive is ready either way; a lost email shouldn't mark the job failed
+  try {
+    const user = await User.findById(job.user);
+    if (user) {
+      await sendDataExportReadyEmail(user.email);
+    }
+  } catch (error) {
+    console.error('Data export email failed:', error);
+  }
+};
+
+// Queue the job without blocking the request
+const queueDataExport = (exportId) => {
+  setImmediate(() => {
+    processDataExport(exportId).catch(error => console.error('Data export job error:', error));
+  });
+};
+
+// Delete expired exports together with their archives. Records whose archive could not be
+// deleted are kept so the next run tries again.
+const cleanupExpiredExports = async () => {
+  const expired = await DataExport.find({ expiresAt: { $lte: new Date() } });
+
+  for (const job of expired) {
+    try {
+      if (job.publicId) {
+        await deleteFile(job.publicId, 'raw', 'authenticated');
+      }
+      await job.deleteOne();
+    } catch (error) {
+      console.error('Failed to clean up data export:', error.message);
+    }
+  }
+};
+
+const EXPORT_CLEANUP_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+// Run cleanupExpiredExports now and then every hour
+const scheduleExportCleanup = () => {
+  const run = () => cleanupExpiredExports().catch(error => console.error('Data export cleanup error:', error));
+
+  // Older deployments have a TTL index on expiresAt that would drop records before their archives
+  DataExport.syncIndexes()
+    .catch(error => console.error('Data export index sync error:', error))
+    .then(run);
+  setInterval(run, EXPORT_CLEANUP_INTERVAL).unref();
+};
+
+module.exports = {
+  INLINE_EXPORT_LIMIT,
+  countUserItems,
+  buildUserExport,
+  processDataExport,
+  queueDataExport,
+  cleanupExpiredExports,
+  scheduleExportCleanup
+};
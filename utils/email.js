@@ -9,6 +9,13 @@ const transporter = nodemailer.createTransport({
   }
 });
 
+// User-provided text (community names, notes) must not inject markup
+const escapeHtml = (text = '') => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
 const sendVerificationEmail = async (email, token) => {
   const verificationUrl = `${process.env.CLIENT_URL}/verify-email/${token}`;
   
@@ -22,6 +29,7 @@ const sendVerificationEmail = async (email, token) => {
       <a href="${verificationUrl}" style="display: inline-block; padding: 10px 20px; background-color: #4CAF50; color: white; text-decoration: none; border-radius: 5px;">Verify Email</a>
       <p>Or copy and paste this link in your browser:</p>
       <p>${verificationUrl}</p>
+      <p>This link will expire in 24 hours.</p>
       <p>If you didn't create an account, please ignore this email.</p>
     `
   });
@@ -46,7 +54,109 @@ const sendPasswordResetEmail = async (email, token) => {
   });
 };
 
+const sendAccountLockedEmail = async (email, lockedUntil) => {
+  const resetUrl = `${process.env.CLIENT_URL}/forgot-password`;
+  
+  await transporter.sendMail({
+    from: '"BatchHub" <noreply@batchhub.com>',
+    to: email,
+    subject: 'Your account has been temporarily locked',
+    html: `
+      <h1>Account Locked</h1>
+      <p>We noticed several failed sign-in attempts on your BatchHub account, so we've temporarily locked it.</p>
+      <p>You can try signing in again after ${lockedUntil.toUTCString()}.</p>
+      <p>If this wasn't you, we recommend resetting your password:</p>
+      <a href="${resetUrl}" style="display: inline-block; padding: 10px 20px; background-color: #FF5722; color: white; text-decoration: none; border-radius: 5px;">Reset Password</a>
+      <p>If it was you, no action is needed.</p>
+    `
+  });
+};
+
+const sendDataExportReadyEmail = async (email) => {
+  const exportUrl = `${process.env.CLIENT_URL}/settings/export`;
+  
+  await transporter.sendMail({
+    from: '"BatchHub" <noreply@batchhub.com>',
+    to: email,
+    subject: 'Your BatchHub data export is ready',
+    html: `
+      <h1>Your data is ready</h1>
+      <p>The copy of your BatchHub data you requested is ready to download:</p>
+      <a href="${exportUrl}" style="display: inline-block; padding: 10px 20px; background-color: #4CAF50; color: white; text-decoration: none; border-radius: 5px;">Download Data</a>
+      <p>The download will be available for 7 days.</p>
+      <p>If you didn't request this, please change your password.</p>
+    `
+  });
+};
+
+const sendJoinRequestDecisionEmail = async (email, communityName, approved, note) => {
+  const communitiesUrl = `${process.env.CLIENT_URL}/communities`;
+  const name = escapeHtml(communityName);
+  const noteHtml = note ? `<p>Note from the moderators: ${escapeHtml(note)}</p>` : '';
+  
+  await transporter.sendMail({
+    from: '"BatchHub" <noreply@batchhub.com>',
+    to: email,
+    subject: approved 
+      ? `You've been accepted into ${communityName}` 
+      : `Your request to join ${communityName}`,
+    html: approved ? `
+      <h1>Welcome to ${name}!</h1>
+      <p>Your request to join <strong>${name}</strong> has been approved.</p>
+      ${noteHtml}
+      <a href="${communitiesUrl}" style="display: inline-block; padding: 10px 20px; background-color: #4CAF50; color: white; text-decoration: none; border-radius: 5px;">Open BatchHub</a>
+    ` : `
+      <h1>Join request declined</h1>
+      <p>Your request to join <strong>${name}</strong> was not approved.</p>
+      ${noteHtml}
+    `
+  });
+};
+
+const sendCommunityInviteEmail = async (email, communityName, inviterName, code) => {
+  const inviteUrl = `${process.env.CLIENT_URL}/invite/${code}`;
+  const name = escapeHtml(communityName);
+  
+  await transporter.sendMail({
+    from: '"BatchHub" <noreply@batchhub.com>',
+    to: email,
+    subject: `You're invited to join ${communityName} on BatchHub`,
+    html: `
+      <h1>You're invited!</h1>
+      <p>${escapeHtml(inviterName)} invited you to join <strong>${name}</strong> on BatchHub.</p>
+      <a href="${inviteUrl}" style="display: inline-block; padding: 10px 20px; background-color: #4CAF50; color: white; text-decoration: none; border-radius: 5px;">Accept Invite</a>
+      <p>Or copy and paste this link in your browser:</p>
+      <p>${inviteUrl}</p>
+      <p>If you don't know this person, you can ignore this email.</p>
+    `
+  });
+};
+
+const sendInstitutionVerificationEmail = async (email, institutionName, token) => {
+  const verificationUrl = `${process.env.CLIENT_URL}/verify-institution/${token}`;
+  
+  await transporter.sendMail({
+    from: '"BatchHub" <noreply@batchhub.com>',
+    to: email,
+    subject: `Confirm your ${institutionName} email`,
+    html: `
+      <h1>Confirm your ${escapeHtml(institutionName)} email</h1>
+      <p>Please click the link below to confirm this address belongs to you:</p>
+      <a href="${verificationUrl}" style="display: inline-block; padding: 10px 20px; background-color: #4CAF50; color: white; text-decoration: none; border-radius: 5px;">Verify Email</a>
+      <p>Or copy and paste this link in your browser:</p>
+      <p>${verificationUrl}</p>
+      <p>This link will expire in 24 hours.</p>
+      <p>If you didn't request this, please ignore this email.</p>
+    `
+  });
+};
+
 module.exports = {
   sendVerificationEmail,
-  sendPasswordResetEmail
+  sendPasswordResetEmail,
+  sendAccountLockedEmail,
+  sendDataExportReadyEmail,
+  sendJoinRequestDecisionEmail,
+  sendCommunityInviteEmail,
+  sendInstitutionVerificationEmail
 };
\ No newline at end of file
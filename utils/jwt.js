@@ -1,15 +1,170 @@
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const RefreshToken = require('../models/RefreshToken');
+const AccessToken = require('../models/AccessToken');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { sessionExpiry, revokeSessions } = require('./sessions');
 
-const generateToken = (userId) => {
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Short-lived access token. `tv` must match user.tokenVersion and `sid` must be an
+// active session for it to be accepted.
+const generateToken = (user, sessionId) => {
   return jwt.sign(
-    { userId },
+    { userId: user._id, tv: user.tokenVersion || 0, sid: sessionId },
     process.env.JWT_SECRET,
-    { expiresIn: '7d' }
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
   );
 };
 
 const verifyToken = (token) => {
-  return jwt.verify(token, process.env.JWT_SECRET);
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  // Purpose tokens (2FA challenges etc.) are never valid as access tokens
+  if (decoded.purpose) {
+    throw new Error('Invalid token type');
+  }
+  return decoded;
+};
+
+// Short-lived token that only proves one step of a flow (e.g. password checked, 2FA pending).
+// `claims` carries extra context for the next step, such as the first login factor.
+const generatePurposeToken = (userId, purpose, expiresIn = '5m', claims = {}) => {
+  return jwt.sign(
+    { ...claims, userId, purpose },
+    process.env.JWT_SECRET,
+    { expiresIn }
+  );
+};
+
+const verifyPurposeToken = (token, purpose) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose !== purpose) {
+    throw new Error('Invalid token type');
+  }
+  return decoded;
 };
 
-module.exports = { generateToken, verifyToken };
\ No newline at end of file
+// Store a new refresh token and return the raw value (only the hash is persisted).
+// The family is the id of the session the token belongs to.
+const createRefreshToken = async (userId, family) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+
+  await RefreshToken.create({
+    user: userId,
+    tokenHash: hashToken(refreshToken),
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  return refreshToken;
+};
+
+// Access + refresh token pair for a freshly created session (see utils/sessions.js)
+const issueAuthTokens = async (user, session) => {
+  const token = generateToken(user, session._id);
+  const refreshToken = await createRefreshToken(user._id, session._id.toString());
+  return { token, refreshToken };
+};
+
+// Older refresh tokens use a random family instead of a session id
+const revokeFamilySession = async (stored) => {
+  if (mongoose.isValidObjectId(stored.family)) {
+    await revokeSessions({ _id: stored.family, user: stored.user });
+  }
+};
+
+// Exchange a refresh token for a new pair. Returns null if the token is unusable.
+const rotateRefreshToken = async (refreshToken) => {
+  const tokenHash = hashToken(refreshToken);
+  const now = new Date();
+
+  // Claim the token atomically so concurrent refreshes with the same token can't both succeed
+  const stored = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { revokedAt: now }
+  );
+
+  if (!stored) {
+    // A revoked token being replayed means it was stolen - sign the whole session out
+    const replayed = await RefreshToken.findOne({ tokenHash, revokedAt: { $ne: null } });
+    if (replayed) {
+      await RefreshToken.updateMany(
+        { family: replayed.family, revokedAt: null },
+        { revokedAt: new Date() }
+      );
+      await revokeFamilySession(replayed);
+    }
+    return null;
+  }
+
+  // Tokens from before sessions existed have no session and must log in again
+  const session = mongoose.isValidObjectId(stored.family)
+    ? await Session.findOne({ _id: stored.family, user: stored.user })
+    : null;
+  if (!session || !session.isActive()) {
+    return null;
+  }
+
+  const user = await User.findById(stored.user);
+  if (!user) {
+    return null;
+  }
+
+  const newRefreshToken = await createRefreshToken(user._id, stored.family);
+  await RefreshToken.updateOne({ _id: stored._id }, { replacedBy: hashToken(newRefreshToken) });
+
+  session.expiresAt = sessionExpiry();
+  session.lastSeenAt = Date.now();
+  await session.save();
+
+  return { user, session, token: generateToken(user, session._id), refreshToken: newRefreshToken };
+};
+
+// Logout: revoke the refresh token and the session it belongs to. Returns the token owner, if any
+const revokeRefreshToken = async (refreshToken) => {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+  if (!stored) return null;
+
+  if (!stored.revokedAt) {
+    stored.revokedAt = new Date();
+    await stored.save();
+  }
+  await revokeFamilySession(stored);
+  return stored.user;
+};
+
+// Invalidate every session, access, refresh and personal access token issued to a user
+const revokeAllTokens = async (userId) => {
+  await User.findByIdAndUpdate(userId, { $inc: { tokenVersion: 1 } });
+  await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  await AccessToken.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+module.exports = {
+  generateToken,
+  verifyToken,
+  generatePurposeToken,
+  verifyPurposeToken,
+  hashToken,
+  issueAuthTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllTokens
+};
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+
+// Sessions live as long as their refresh tokens
+const SESSION_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+const BROWSERS = [
+  ['Edge', /Edg\//],
+  ['Opera', /OPR\//],
+  ['Chrome', /Chrome\//],
+  ['Firefox', /Firefox\//],
+  ['Safari', /Safari\//]
+];
+
+const OPERATING_SYSTEMS = [
+  ['Android', /Android/],
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/]
+];
+
+// "Chrome on Windows" from a user agent string
+const describeDevice = (userAgent = '') => {
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const os = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(userAgent));
+
+  if (browser && os) return `${browser[0]} on ${os[0]}`;
+  if (browser) return browser[0];
+  if (os) return os[0];
+  return 'Unknown device';
+};
+
+const sessionExpiry = () => new Date(Date.now() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Register a login from this request
+const createSession = (req, user, method = 'password') => {
+  const userAgent = (req.get('user-agent') || '').substring(0, 300);
+
+  return Session.create({
+    user: user._id,
+    method,
+    device: describeDevice(userAgent),
+    userAgent,
+    ip: req.ip,
+    expiresAt: sessionExpiry()
+  });
+};
+
+// The session if it belongs to the user and is still active, otherwise null.
+// Also records the device as seen (at most once a minute).
+const getActiveSession = async (sessionId, userId, req) => {
+  if (!sessionId || !mongoose.isValidObjectId(sessionId)) return null;
+
+  const session = await Session.findOne({ _id: sessionId, user: userId });
+  if (!session || !session.isActive()) return null;
+
+  if (Date.now() - session.lastSeenAt > 60 * 1000) {
+    await Session.updateOne(
+      { _id: session._id },
+      { lastSeenAt: Date.now(), ip: req ? req.ip : session.ip }
+    );
+  }
+
+  return session;
+};
+
+// Sign a device out: the session and every refresh token issued for it
+const revokeSessions = async (query) => {
+  const sessions = await Session.find({ ...query, revokedAt: null }).select('_id');
+  const ids = sessions.map(s => s._id);
+
+  await Session.updateMany({ _id: { $in: ids } }, { revokedAt: new Date() });
+  await RefreshToken.updateMany(
+    { family: { $in: ids.map(id => id.toString()) }, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+
+  return ids.length;
+};
+
+module.exports = {
+  describeDevice,
+  sessionExpiry,
+  createSession,
+  getActiveSession,
+  revokeSessions
+};
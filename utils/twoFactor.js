@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const { authenticator } = require('otplib');
+const { hashToken } = require('./jwt');
+
+const ISSUER = process.env.TOTP_ISSUER || 'BatchHub';
+const RECOVERY_CODE_COUNT = 10;
+
+// Accept the previous/next 30s step to tolerate clock drift
+authenticator.options = { window: 1 };
+
+const generateSecret = () => authenticator.generateSecret();
+
+// otpauth:// URI for authenticator apps (usually rendered as a QR code)
+const getProvisioningUri = (email, secret) => {
+  return authenticator.keyuri(email, ISSUER, secret);
+};
+
+// Returns the time step the code belongs to, or null if invalid.
+// Callers store the step so the same code cannot be replayed.
+const verifyTotp = (code, secret, lastUsedStep) => {
+  if (!code || !secret) return null;
+
+  const delta = authenticator.checkDelta(String(code).replace(/\s/g, ''), secret);
+  if (delta === null) return null;
+
+  const step = Math.floor(Date.now() / 1000 / 30) + delta;
+  if (lastUsedStep !== undefined && lastUsedStep !== null && step <= lastUsedStep) {
+    return null;
+  }
+  return step;
+};
+
+// Plain codes are shown to the user once; only hashes are stored
+const generateRecoveryCodes = () => {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return {
+    codes,
+    hashes: codes.map(hashRecoveryCode)
+  };
+};
+
+const hashRecoveryCode = (code) => {
+  return hashToken(String(code).trim().toLowerCase());
+};
+
+// Removes the matching code from the user's list; returns false if none matched
+const consumeRecoveryCode = (user, code) => {
+  const hash = hashRecoveryCode(code);
+  const codes = user.twoFactor.recoveryCodes || [];
+  if (!codes.includes(hash)) return false;
+
+  user.twoFactor.recoveryCodes = codes.filter(c => c !== hash);
+  return true;
+};
+
+module.exports = {
+  generateSecret,
+  getProvisioningUri,
+  verifyTotp,
+  generateRecoveryCodes,
+  consumeRecoveryCode
+};